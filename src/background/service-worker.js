@@ -4,6 +4,8 @@
  */
 
 import * as asanaClient from '../lib/asana-client.js';
+import { resolveConnectionId, CONNECTION_PREFERENCE_KEYS } from '../lib/connections.js';
+import { addLink, getLinksForThread, listLinks, getLinkSummaries, updateLinksForTask } from '../lib/link-history.js';
 
 /**
  * Download a file from Gmail attachment URL
@@ -21,18 +23,112 @@ async function downloadGmailAttachment(url) {
   return blob;
 }
 
+/**
+ * Work out which Gmail account a tab belongs to
+ * Index comes from /mail/u/N/ (or ?authuser=N), the address from the tab title ("Inbox - me@example.com - Gmail")
+ */
+function getGmailAccount(tab) {
+  if (!tab?.url || !tab.url.startsWith('https://mail.google.com/')) return {};
+
+  const url = new URL(tab.url);
+  const indexMatch = url.pathname.match(/\/mail\/u\/(\d+)/);
+  // Only the account part right before "- Gmail": the subject before it may hold other addresses
+  const addressMatch = tab.title?.match(/(?:^| - )([^\s]+@[^\s]+) - Gmail$/);
+
+  return {
+    gmailIndex: indexMatch ? indexMatch[1] : (url.searchParams.get('authuser') || '0'),
+    gmailAddress: addressMatch ? addressMatch[1] : null,
+  };
+}
+
+/**
+ * Pick the Asana connection for a request
+ * Extension pages (popup) name it explicitly; Gmail tabs are routed through the account mappings
+ */
+async function getConnectionId(message, sender) {
+  if (message.connectionId) return message.connectionId;
+  return resolveConnectionId(getGmailAccount(sender.tab));
+}
+
+/**
+ * Record an email → task link in the history
+ * The task or comment already exists at this point, so a history failure is only logged
+ */
+async function recordLink(link) {
+  try {
+    await addLink(link);
+  } catch (error) {
+    console.error('Failed to record link:', error);
+  }
+}
+
+/**
+ * Keep the history's copy of a task's name and state current
+ */
+function refreshLinkedTask(task) {
+  updateLinksForTask(task.gid, { taskName: task.name, taskCompleted: task.completed })
+    .catch(error => console.error('Failed to update links:', error));
+  return task;
+}
+
 /**
  * Message handler for content script requests
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message)
+  handleMessage(message, sender)
     .then(sendResponse)
-    .catch(error => sendResponse({ error: error.message }));
+    .catch(error => sendResponse({ error: error.message, errorType: error.type }));
 
   // Return true to indicate async response
   return true;
 });
 
+/**
+ * Page iterators for streamed collections
+ * Used over a long-lived port so the modal can render the first page while the rest load
+ */
+const PAGE_ITERATORS = {
+  GET_WORKSPACES: (connectionId, message) => asanaClient.iterateWorkspaces(connectionId, message.options),
+  GET_PROJECTS: (connectionId, message) => asanaClient.iterateProjects(connectionId, message.workspaceId, message.options),
+  GET_USERS: (connectionId, message) => asanaClient.iterateUsers(connectionId, message.workspaceId, message.options),
+  GET_TAGS: (connectionId, message) => asanaClient.iterateTags(connectionId, message.workspaceId, message.options),
+};
+
+/**
+ * Port handler for streamed (paginated) requests
+ * Posts { page } for every page, then { done: true } or { error, errorType }
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'ASANA_PAGES') return;
+
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+  });
+
+  port.onMessage.addListener(async (message) => {
+    const iterate = PAGE_ITERATORS[message.type];
+
+    try {
+      if (!iterate) {
+        throw new Error(`Unknown message type: ${message.type}`);
+      }
+
+      const connectionId = await getConnectionId(message, port.sender);
+
+      for await (const page of iterate(connectionId, message)) {
+        // Stop fetching as soon as the modal goes away
+        if (disconnected) return;
+        port.postMessage({ page });
+      }
+
+      if (!disconnected) port.postMessage({ done: true });
+    } catch (error) {
+      if (!disconnected) port.postMessage({ error: error.message, errorType: error.type });
+    }
+  });
+});
+
 /**
  * Handle notification clicks - open the task URL
  */
@@ -51,30 +147,81 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
 /**
  * Route messages to appropriate handlers
  */
-async function handleMessage(message) {
+async function handleMessage(message, sender) {
+  const connectionId = await getConnectionId(message, sender);
+
   switch (message.type) {
     case 'CHECK_SESSION':
-      return await asanaClient.checkSession();
+      return await asanaClient.checkSession(connectionId);
+
+    // Connection management (popup) - OAuth runs here so the flow survives the popup closing
+    case 'OAUTH_SIGN_IN':
+      return await asanaClient.signInWithOAuth({ name: message.name, connectionId: message.connectionId });
+
+    case 'ADD_TOKEN_CONNECTION':
+      return await asanaClient.addTokenConnection({ name: message.name, token: message.token });
+
+    case 'REMOVE_CONNECTION':
+      return await asanaClient.removeConnection(message.connectionId);
+
+    case 'GET_OAUTH_REDIRECT_URL':
+      return asanaClient.getOAuthRedirectUrl();
 
     case 'GET_WORKSPACES':
-      return await asanaClient.getWorkspaces();
+      return await asanaClient.getWorkspaces(connectionId, message.options);
 
     case 'GET_PROJECTS':
-      return await asanaClient.getProjects(message.workspaceId);
+      return await asanaClient.getProjects(connectionId, message.workspaceId, message.options);
 
     case 'GET_USERS':
-      return await asanaClient.getUsers(message.workspaceId);
+      return await asanaClient.getUsers(connectionId, message.workspaceId, message.options);
 
     case 'GET_TAGS':
-      return await asanaClient.getTags(message.workspaceId);
+      return await asanaClient.getTags(connectionId, message.workspaceId, message.options);
+
+    case 'CREATE_TASK': {
+      const task = await asanaClient.createTask(connectionId, message.taskData);
+      if (message.link) {
+        await recordLink({
+          ...message.link,
+          type: 'task',
+          connectionId,
+          taskId: task.gid,
+          storyId: null,
+          taskName: task.name,
+          projectNames: (task.projects || []).map(p => p.name),
+          taskUrl: task.permalink_url || asanaClient.getTaskUrl(task.gid),
+          taskCompleted: false,
+        });
+      }
+      return task;
+    }
 
-    case 'CREATE_TASK':
-      return await asanaClient.createTask(message.taskData);
+    // Tasks already linked to a thread: our history, plus tasks whose notes mention the thread
+    case 'FIND_THREAD_TASKS': {
+      const links = (await getLinksForThread(message.threadId, message.legacyThreadId)).filter(link => link.connectionId === connectionId);
+      const taskIds = [...new Set(links.map(link => link.taskId))];
+      const [linked, found] = await Promise.all([
+        // Tasks deleted since then are dropped; any other failure reaches the modal
+        Promise.all(taskIds.map(taskId => asanaClient.getTask(connectionId, taskId).catch(error => {
+          if (error.type === asanaClient.ERROR_TYPES.NOT_FOUND) return null;
+          throw error;
+        }))),
+        asanaClient.searchTasksByText(connectionId, message.workspaceId, message.threadId),
+      ]);
+
+      const tasks = new Map();
+      [...linked.filter(Boolean), ...found].forEach(task => tasks.set(task.gid, task));
+      return [...tasks.values()];
+    }
+
+    case 'CREATE_SUBTASK':
+      return await asanaClient.createSubtask(connectionId, message.parentTaskId, message.subtaskData);
 
     case 'UPLOAD_ATTACHMENT': {
       const { taskId, attachmentUrl, filename } = message;
       const blob = await downloadGmailAttachment(attachmentUrl);
-      const result = await asanaClient.uploadAttachment(taskId, blob, filename);
+      const result = await asanaClient.uploadAttachment(connectionId, taskId, blob, filename);
       return result;
     }
 
@@ -89,7 +236,7 @@ async function handleMessage(message) {
       const byteArray = new Uint8Array(byteNumbers);
       const blob = new Blob([byteArray], { type: mimeType });
 
-      const result = await asanaClient.uploadAttachment(taskId, blob, filename);
+      const result = await asanaClient.uploadAttachment(connectionId, taskId, blob, filename);
       return result;
     }
 
@@ -97,29 +244,79 @@ async function handleMessage(message) {
       return asanaClient.getTaskUrl(message.taskId);
 
     case 'SEARCH_TASKS':
-      return await asanaClient.searchTasks(message.workspaceId, message.query);
+      return await asanaClient.searchTasks(connectionId, message.workspaceId, message.query);
+
+    case 'ADD_COMMENT': {
+      const story = await asanaClient.addComment(connectionId, message.taskId, message.text, message.htmlText);
+      if (message.link) {
+        await recordLink({
+          ...message.link,
+          type: 'comment',
+          connectionId,
+          taskId: message.taskId,
+          storyId: story.gid,
+          taskUrl: asanaClient.getTaskUrl(message.taskId),
+        });
+      }
+      return story;
+    }
+
+    // Email → task history
+    case 'LIST_LINKS':
+      return await listLinks({ query: message.query, limit: message.limit });
 
-    case 'ADD_COMMENT':
-      return await asanaClient.addComment(message.taskId, message.text, message.htmlText);
+    case 'GET_LINKS_FOR_THREAD':
+      return await getLinksForThread(message.threadId, message.legacyThreadId);
+
+    case 'GET_LINK_SUMMARIES':
+      return await getLinkSummaries(message.legacyThreadIds);
+
+    case 'GET_SECTIONS':
+      return await asanaClient.getSections(connectionId, message.projectId, message.options);
 
     case 'GET_PROJECT_CUSTOM_FIELDS':
-      return await asanaClient.getProjectCustomFields(message.projectId);
+      return await asanaClient.getProjectCustomFields(connectionId, message.projectId);
 
     case 'GET_TASK':
-      return await asanaClient.getTask(message.taskId);
+      return refreshLinkedTask(await asanaClient.getTask(connectionId, message.taskId));
+
+    case 'UPDATE_TASK':
+      return refreshLinkedTask(await asanaClient.updateTask(connectionId, message.taskId, message.changes));
 
     case 'SHOW_NOTIFICATION':
       asanaClient.showNotification(message.title, message.message, message.url);
       return { success: true };
 
     // Storage for preferences
-    case 'SAVE_PREFERENCES':
-      await chrome.storage.local.set({ preferences: message.preferences });
+    // Workspace/project choices are kept per connection, everything else is shared
+    case 'SAVE_PREFERENCES': {
+      const data = await chrome.storage.local.get(['preferences', 'connectionPreferences']);
+      const preferences = { ...(data.preferences || {}) };
+      const connectionPreferences = { ...(data.connectionPreferences || {}) };
+      const scoped = { ...(connectionPreferences[connectionId] || {}) };
+
+      for (const [key, value] of Object.entries(message.preferences)) {
+        if (key === 'activeConnectionId') continue;
+        if (connectionId && CONNECTION_PREFERENCE_KEYS.includes(key)) {
+          scoped[key] = value;
+        } else {
+          preferences[key] = value;
+        }
+      }
+      if (connectionId) connectionPreferences[connectionId] = scoped;
+
+      await chrome.storage.local.set({ preferences, connectionPreferences });
       return { success: true };
+    }
 
     case 'GET_PREFERENCES': {
-      const data = await chrome.storage.local.get('preferences');
-      return data.preferences || {};
+      const data = await chrome.storage.local.get(['preferences', 'connectionPreferences']);
+      return {
+        ...(data.preferences || {}),
+        ...(data.connectionPreferences?.[connectionId] || {}),
+        // Connection this tab is routed to, for settings tied to one Asana account (rules)
+        activeConnectionId: connectionId,
+      };
     }
 
     default:
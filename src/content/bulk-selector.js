@@ -0,0 +1,494 @@
+/**
+ * Bulk Selector - Modal creating one task per conversation checked in list view
+ * The tasks share workspace, project, assignee and tags; each line keeps its own editable name
+ */
+
+// Tasks in flight at once (the service worker also queues and retries the Asana calls)
+const BULK_CONCURRENCY = 2;
+
+const BulkSelector = {
+  modal: null,
+  user: null,
+  preferences: {},
+  lines: [], // [{ thread, name, checked, status: 'pending' | 'creating' | 'done' | 'error', error, task }]
+  workspaces: [],
+  projects: [],
+  users: [],
+  tags: [],
+  selectedTags: [],
+  running: false,
+  workspaceLoadId: 0, // Guards against collections from a previously selected workspace
+
+  // Shorthand for i18n
+  t(key, subs) {
+    return window.i18n ? window.i18n.t(key, subs) : key;
+  },
+
+  /**
+   * Open the bulk modal for the checked conversations
+   * @param {Array} threads - From EmailExtractor.getSelectedThreads()
+   * @param {object} user - The Asana user
+   */
+  async open(threads, user) {
+    this.user = user;
+    this.lines = threads.map(thread => ({
+      thread,
+      name: thread.subject || this.t('noSubject'),
+      checked: true,
+      status: 'pending',
+      error: null,
+      task: null,
+    }));
+    this.selectedTags = [];
+    this.running = false;
+
+    try {
+      this.preferences = await chrome.runtime.sendMessage({ type: 'GET_PREFERENCES' }) || {};
+    } catch (e) {
+      this.preferences = {};
+    }
+
+    this.createModal();
+    document.body.appendChild(this.modal);
+
+    requestAnimationFrame(() => {
+      this.modal.classList.add('asana-modal-visible');
+    });
+
+    await this.loadWorkspaces();
+  },
+
+  /**
+   * Close the modal (not while tasks are being created)
+   */
+  close() {
+    if (!this.modal || this.running) return;
+
+    document.removeEventListener('keydown', this.escapeHandler);
+    const modal = this.modal;
+    this.modal = null;
+    modal.classList.remove('asana-modal-visible');
+    setTimeout(() => modal.remove(), 300);
+  },
+
+  /**
+   * Create the modal DOM structure
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'asana-modal-overlay';
+
+    this.modal.innerHTML = `
+      <div class="asana-modal asana-bulk-modal">
+        <div class="asana-modal-header">
+          <h2>${this.t('bulkCreateTitle', [this.lines.length.toString()])}</h2>
+          <button class="asana-modal-close" aria-label="Close">&times;</button>
+        </div>
+
+        <div class="asana-modal-body">
+          <div class="asana-form-row">
+            <div class="asana-form-group asana-form-half">
+              <label class="asana-label" for="asana-bulk-workspace">${this.t('workspace')}</label>
+              <select id="asana-bulk-workspace" class="asana-select">
+                <option value="">${this.t('loading')}</option>
+              </select>
+            </div>
+
+            <div class="asana-form-group asana-form-half">
+              <label class="asana-label" for="asana-bulk-project">${this.t('project')}</label>
+              <select id="asana-bulk-project" class="asana-select" disabled>
+                <option value="">${this.t('selectWorkspaceFirst')}</option>
+              </select>
+            </div>
+          </div>
+
+          <div class="asana-form-row">
+            <div class="asana-form-group asana-form-half">
+              <label class="asana-label" for="asana-bulk-assignee">${this.t('assignee')}</label>
+              <select id="asana-bulk-assignee" class="asana-select" disabled>
+                <option value="">${this.t('selectWorkspaceFirst')}</option>
+              </select>
+            </div>
+
+            <div class="asana-form-group asana-form-half">
+              <label class="asana-label" for="asana-bulk-tags">${this.t('tags')}</label>
+              <select id="asana-bulk-tags" class="asana-select" disabled>
+                <option value="">${this.t('selectWorkspaceFirst')}</option>
+              </select>
+              <div class="asana-tags-selected" id="asana-bulk-tags-selected"></div>
+            </div>
+          </div>
+
+          <div class="asana-form-group">
+            <label class="asana-label">${this.t('bulkTasks')}</label>
+            <div class="asana-bulk-lines" id="asana-bulk-lines"></div>
+          </div>
+
+          <div class="asana-status" id="asana-status"></div>
+        </div>
+
+        <div class="asana-modal-footer">
+          <button class="asana-btn asana-btn-secondary" id="asana-bulk-cancel">${this.t('cancel')}</button>
+          <button class="asana-btn asana-btn-primary" id="asana-bulk-create">${this.t('bulkCreateButton', [this.lines.length.toString()])}</button>
+        </div>
+      </div>
+    `;
+
+    this.renderLines();
+
+    this.modal.querySelector('.asana-modal-close').addEventListener('click', () => this.close());
+    this.modal.querySelector('#asana-bulk-cancel').addEventListener('click', () => this.close());
+    this.modal.querySelector('#asana-bulk-create').addEventListener('click', () => this.createAll());
+    this.modal.querySelector('#asana-bulk-workspace').addEventListener('change', e => this.onWorkspaceChange(e.target.value));
+
+    this.modal.querySelector('#asana-bulk-tags').addEventListener('change', e => {
+      const tag = this.tags.find(t => t.gid === e.target.value);
+      if (tag && !this.selectedTags.some(t => t.gid === tag.gid)) {
+        this.selectedTags.push(tag);
+        this.renderSelectedTags();
+      }
+      e.target.value = '';
+    });
+
+    // Close on overlay click
+    this.modal.addEventListener('click', e => {
+      if (e.target === this.modal) this.close();
+    });
+
+    // Close on escape
+    this.escapeHandler = e => {
+      if (e.key === 'Escape') this.close();
+    };
+    document.addEventListener('keydown', this.escapeHandler);
+  },
+
+  /**
+   * Render one line per conversation: checkbox, editable task name, sender and progress
+   */
+  renderLines() {
+    const container = this.modal.querySelector('#asana-bulk-lines');
+
+    container.innerHTML = this.lines.map((line, index) => `
+      <div class="asana-bulk-line" data-index="${index}">
+        <input type="checkbox" class="asana-bulk-check" ${line.checked ? 'checked' : ''}>
+        <div class="asana-bulk-line-main">
+          <input type="text" class="asana-input asana-bulk-name" value="${this.escapeHtml(line.name)}">
+          <div class="asana-bulk-line-meta asana-text-muted">${this.escapeHtml(line.thread.sender)}</div>
+          <div class="asana-bulk-line-error"></div>
+        </div>
+        <span class="asana-bulk-status"></span>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.asana-bulk-line').forEach(el => {
+      const line = this.lines[Number(el.dataset.index)];
+      el.querySelector('.asana-bulk-check').addEventListener('change', e => {
+        line.checked = e.target.checked;
+        this.updateCreateButton();
+      });
+      el.querySelector('.asana-bulk-name').addEventListener('input', e => {
+        line.name = e.target.value;
+      });
+      this.renderLineStatus(line);
+    });
+  },
+
+  /**
+   * Show the progress of one line: waiting, creating, created (with a link) or failed (with the reason)
+   */
+  renderLineStatus(line) {
+    const el = this.modal?.querySelector(`.asana-bulk-line[data-index="${this.lines.indexOf(line)}"]`);
+    if (!el) return;
+
+    const status = el.querySelector('.asana-bulk-status');
+    const icons = { pending: '', creating: '⏳', done: '✓', error: '✗' };
+    status.className = `asana-bulk-status asana-bulk-status-${line.status}`;
+    status.innerHTML = line.status === 'done' && line.task?.permalink_url
+      ? `<a href="${this.escapeHtml(line.task.permalink_url)}" target="_blank" title="${this.t('openInAsana')}">${icons.done}</a>`
+      : icons[line.status];
+
+    el.querySelector('.asana-bulk-line-error').textContent = line.status === 'error' ? line.error : '';
+
+    // Created lines can't be edited or sent again
+    const locked = line.status === 'done' || line.status === 'creating';
+    el.querySelector('.asana-bulk-check').disabled = locked;
+    el.querySelector('.asana-bulk-name').disabled = locked;
+  },
+
+  /**
+   * Label the create button with the number of lines left to create
+   */
+  updateCreateButton() {
+    const createBtn = this.modal.querySelector('#asana-bulk-create');
+    const remaining = this.getRemainingLines();
+    const hasFailures = remaining.some(line => line.status === 'error');
+
+    createBtn.textContent = this.t(hasFailures ? 'bulkRetryFailed' : 'bulkCreateButton', [remaining.length.toString()]);
+    createBtn.disabled = this.running || remaining.length === 0;
+  },
+
+  /**
+   * Checked lines that don't have a task yet
+   */
+  getRemainingLines() {
+    return this.lines.filter(line => line.checked && line.status !== 'done');
+  },
+
+  /**
+   * Load workspaces and select the default or last used one
+   */
+  async loadWorkspaces() {
+    try {
+      const workspaces = await chrome.runtime.sendMessage({ type: 'GET_WORKSPACES' });
+      if (workspaces.error) {
+        throw window.ProjectSelector.toError(workspaces);
+      }
+      this.workspaces = workspaces;
+
+      const select = this.modal.querySelector('#asana-bulk-workspace');
+      select.innerHTML = `<option value="">${this.t('selectWorkspace')}</option>` +
+        this.workspaces.map(ws => `<option value="${ws.gid}">${this.escapeHtml(ws.name)}</option>`).join('');
+
+      const workspaceToSelect = [this.preferences.defaultWorkspace, this.preferences.lastWorkspaceId]
+        .find(gid => gid && this.workspaces.find(w => w.gid === gid)) ||
+        (this.workspaces.length === 1 ? this.workspaces[0].gid : null);
+
+      if (workspaceToSelect) {
+        select.value = workspaceToSelect;
+        await this.onWorkspaceChange(workspaceToSelect);
+      }
+    } catch (error) {
+      this.showStatus(`${this.t('errorLoadWorkspaces')} ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Load the projects, users and tags of the selected workspace
+   */
+  async onWorkspaceChange(workspaceId) {
+    const projectSelect = this.modal.querySelector('#asana-bulk-project');
+    const assigneeSelect = this.modal.querySelector('#asana-bulk-assignee');
+    const tagsSelect = this.modal.querySelector('#asana-bulk-tags');
+    const selects = [projectSelect, assigneeSelect, tagsSelect];
+
+    const loadId = ++this.workspaceLoadId;
+    this.selectedTags = [];
+    this.renderSelectedTags();
+
+    selects.forEach(select => {
+      select.innerHTML = `<option value="">${this.t(workspaceId ? 'loading' : 'selectWorkspaceFirst')}</option>`;
+      select.disabled = true;
+    });
+    if (!workspaceId) return;
+
+    try {
+      const responses = await Promise.all(['GET_PROJECTS', 'GET_USERS', 'GET_TAGS']
+        .map(type => chrome.runtime.sendMessage({ type, workspaceId })));
+      const failed = responses.find(response => response.error);
+      if (failed) {
+        throw window.ProjectSelector.toError(failed);
+      }
+      if (!this.modal || loadId !== this.workspaceLoadId) return;
+
+      [this.projects, this.users, this.tags] = responses;
+
+      projectSelect.innerHTML = `<option value="">${this.t('selectProject')}</option>` +
+        this.projects.map(p => `<option value="${p.gid}">${this.escapeHtml(p.name)}</option>`).join('');
+      projectSelect.value = [this.preferences.defaultProject, this.preferences.lastProjectId]
+        .find(gid => gid && this.projects.some(p => p.gid === gid)) || '';
+
+      assigneeSelect.innerHTML = `<option value="">${this.t('unassigned')}</option>` +
+        `<option value="${this.user.gid}">${this.t('me')} (${this.escapeHtml(this.user.name)})</option>` +
+        this.users
+          .filter(u => u.gid !== this.user.gid)
+          .map(u => `<option value="${u.gid}">${this.escapeHtml(u.name)}</option>`)
+          .join('');
+
+      tagsSelect.innerHTML = `<option value="">${this.t(this.tags.length > 0 ? 'addTag' : 'noTagsAvailable')}</option>` +
+        this.tags.map(tag => `<option value="${tag.gid}">${this.escapeHtml(tag.name)}</option>`).join('');
+
+      selects.forEach(select => { select.disabled = false; });
+      tagsSelect.disabled = this.tags.length === 0;
+      this.showStatus('');
+    } catch (error) {
+      if (this.modal && loadId === this.workspaceLoadId) {
+        this.showStatus(`${this.t('errorLoadData')} ${error.message}`, 'error');
+      }
+    }
+  },
+
+  /**
+   * Render the chosen tags as removable chips
+   */
+  renderSelectedTags() {
+    const container = this.modal.querySelector('#asana-bulk-tags-selected');
+
+    container.innerHTML = this.selectedTags.map(tag => `
+      <span class="asana-selected-tag" style="--tag-color: ${window.ProjectSelector.getTagColor(tag.color)}" data-id="${tag.gid}">
+        ${this.escapeHtml(tag.name)}
+        <span class="asana-tag-remove">&times;</span>
+      </span>
+    `).join('');
+
+    container.querySelectorAll('.asana-selected-tag').forEach(el => {
+      el.querySelector('.asana-tag-remove').addEventListener('click', () => {
+        this.selectedTags = this.selectedTags.filter(t => t.gid !== el.dataset.id);
+        this.renderSelectedTags();
+      });
+    });
+  },
+
+  /**
+   * Create a task for every checked line that doesn't have one yet
+   * Lines are taken from a shared queue by BULK_CONCURRENCY workers, so a slow or failing
+   * task never holds up the others; failed lines can be sent again with the same button
+   */
+  async createAll() {
+    const workspaceId = this.modal.querySelector('#asana-bulk-workspace').value;
+    const projectId = this.modal.querySelector('#asana-bulk-project').value;
+    const assigneeId = this.modal.querySelector('#asana-bulk-assignee').value;
+    const queue = this.getRemainingLines();
+
+    if (!projectId) {
+      this.showStatus(this.t('errorSelectProject'), 'error');
+      return;
+    }
+
+    if (queue.some(line => !line.name.trim())) {
+      this.showStatus(this.t('errorEnterTaskName'), 'error');
+      return;
+    }
+
+    const shared = {
+      workspaceId,
+      projects: [{ projectId, sectionId: null }],
+      assignee: assigneeId || null,
+      tags: this.selectedTags.length > 0 ? this.selectedTags.map(t => t.gid) : null,
+    };
+
+    queue.forEach(line => {
+      line.status = 'pending';
+      this.renderLineStatus(line);
+    });
+
+    this.running = true;
+    this.updateCreateButton();
+    this.showStatus(this.t('bulkCreating', [queue.length.toString()]), 'info');
+
+    const work = async () => {
+      while (queue.length > 0) {
+        await this.createLineTask(queue.shift(), shared);
+      }
+    };
+    await Promise.all(Array.from({ length: BULK_CONCURRENCY }, work));
+
+    this.running = false;
+    if (!this.modal) return;
+
+    chrome.runtime.sendMessage({
+      type: 'SAVE_PREFERENCES',
+      preferences: { lastWorkspaceId: workspaceId, lastProjectId: projectId },
+    });
+
+    this.updateCreateButton();
+    this.showSummary();
+
+    // Chips on the rows of the new tasks
+    window.GmailInjector?.refreshThreadRows();
+  },
+
+  /**
+   * Create the task of one line and record its progress
+   */
+  async createLineTask(line, shared) {
+    line.status = 'creating';
+    this.renderLineStatus(line);
+
+    const { thread } = line;
+    const { escapeXml } = window.TiptapAsana;
+    const parts = [];
+    if (thread.sender) {
+      parts.push(`${this.t('from')} ${escapeXml(thread.sender)}`);
+    }
+    if (thread.emailUrl) {
+      parts.push(`<a href="${escapeXml(thread.emailUrl)}">Ouvrir dans Gmail</a>`);
+    }
+    if (thread.snippet) {
+      parts.push('', escapeXml(thread.snippet));
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CREATE_TASK',
+        link: {
+          threadId: thread.threadId,
+          legacyThreadId: thread.legacyThreadId,
+          messageId: null,
+          subject: thread.subject,
+          emailUrl: thread.emailUrl,
+        },
+        taskData: {
+          ...shared,
+          name: line.name.trim(),
+          htmlNotes: `<body>${parts.join('\n')}</body>`,
+        },
+      });
+      if (response.error) {
+        throw window.ProjectSelector.toError(response);
+      }
+
+      line.task = response;
+      line.status = 'done';
+      line.error = null;
+    } catch (error) {
+      line.status = 'error';
+      line.error = error.message;
+    }
+
+    this.renderLineStatus(line);
+  },
+
+  /**
+   * Sum up the run: everything created, or how many failed and why
+   */
+  showSummary() {
+    const created = this.lines.filter(line => line.status === 'done').length;
+    const failed = this.lines.filter(line => line.status === 'error');
+
+    if (failed.length === 0) {
+      this.showStatus(this.t('bulkAllCreated', [created.toString()]), 'success');
+      return;
+    }
+
+    const reasons = [...new Set(failed.map(line => line.error))];
+    this.showStatus(
+      `${this.t('bulkSomeFailed', [created.toString(), failed.length.toString()])}` +
+      `<ul class="asana-bulk-failures">${reasons.map(reason => `<li>${this.escapeHtml(reason)}</li>`).join('')}</ul>`,
+      'error',
+    );
+  },
+
+  /**
+   * Show status message
+   */
+  showStatus(message, type = 'info') {
+    const status = this.modal.querySelector('#asana-status');
+    status.innerHTML = message;
+    status.className = `asana-status asana-status-${type}`;
+  },
+
+  /**
+   * Escape HTML special characters (quotes too, for attribute values)
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+};
+
+// Make available globally
+window.BulkSelector = BulkSelector;
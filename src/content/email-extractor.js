@@ -2,6 +2,42 @@
  * Email Extractor - Extracts email data from Gmail DOM
  */
 
+/**
+ * Elements holding the quoted history of a reply in the message HTML
+ * (Gmail, Apple Mail, Yahoo, Outlook; Gmail prefixes the ids of displayed mail)
+ */
+const QUOTE_SELECTORS = '.gmail_quote, blockquote[type="cite"], .yahoo_quoted, [id$="divRplyFwdMsg"], [id$="divRplyFwdMsg"] ~ *';
+
+/**
+ * Forwarded emails are quoted too, but their content is what the task is about
+ */
+const FORWARD_HEADER_PATTERN = /-{3,}\s*(?:Forwarded message|Message transféré)/i;
+
+/**
+ * Lines introducing the quoted history of a reply, in English and French
+ * Everything from the first match on is dropped
+ */
+const REPLY_HEADER_PATTERNS = [
+  /^On [^\n]+(?:\n[^\n]*)?wrote:[ \t]*$/m, // Long Gmail headers wrap before "wrote:"
+  /^Le [^\n]+(?:\n[^\n]*)?a écrit[ \t]*:[ \t]*$/m,
+  /^-{2,}[ \t]*(?:Original Message|Message d'origine)[ \t]*-{2,}/im,
+  /^(?:From|De)[ \t]*:[^\n]*\n(?:Sent|Envoyé)[ \t]*:/m, // Outlook
+];
+
+/**
+ * Start of the legal disclaimers appended to many emails, dropped along with what follows
+ * Users can add their own in the extension settings (preferences.disclaimerPatterns)
+ */
+const DISCLAIMER_PATTERNS = [
+  'This email and any attachments',
+  'This e-mail and any attachments',
+  'This message and any attachments',
+  'CONFIDENTIALITY NOTICE',
+  'Ce message et toutes les pièces jointes',
+  'Ce courriel et les pièces jointes',
+  'AVERTISSEMENT DE CONFIDENTIALITÉ',
+];
+
 const EmailExtractor = {
   /**
    * Extract the email subject from the current email view
@@ -29,6 +65,13 @@ const EmailExtractor = {
    * Extract the email body content
    */
   getBody() {
+    return this.getBodyElement()?.innerText?.trim() || '';
+  },
+
+  /**
+   * Find the body element of the most recent email in the thread
+   */
+  getBodyElement() {
     // Try different selectors for email body
     const selectors = [
       '.a3s.aiL', // Standard email body
@@ -40,12 +83,123 @@ const EmailExtractor = {
       const elements = document.querySelectorAll(selector);
       if (elements.length > 0) {
         // Get the last (most recent) email body in thread
-        const lastBody = elements[elements.length - 1];
-        return lastBody.innerText?.trim() || '';
+        return elements[elements.length - 1];
       }
     }
 
-    return '';
+    return null;
+  },
+
+  /**
+   * Get a message body as displayed and cleaned up: without the quoted history,
+   * reply headers, signature and legal disclaimers
+   * Each comes as plain text and as rich text for the editor (see HtmlSanitizer)
+   * @param {Element|null} element - Body element of the message
+   * @param {object} options - { disclaimerPatterns } added to the built-in ones
+   * @returns {object} { body, originalBody, bodyHtml, originalBodyHtml }; the cleaned versions fall back
+   * to the original when nothing would be left, the HTML ones are empty when there is no usable rich text
+   */
+  getBodies(element, options = {}) {
+    const originalBody = element?.innerText?.trim() || '';
+    if (!originalBody) return { body: '', originalBody, bodyHtml: '', originalBodyHtml: '' };
+
+    const visible = this.cloneVisible(element);
+    const withoutQuotes = this.removeQuoteBlocks(visible);
+    const body = this.cleanBodyText(this.getLaidOutText(withoutQuotes), options) || originalBody;
+    const originalBodyHtml = window.HtmlSanitizer.sanitize(visible.innerHTML);
+    const bodyHtml = this.dropTrailingBlocks(window.HtmlSanitizer.sanitize(withoutQuotes.innerHTML), body);
+
+    return { body, originalBody, bodyHtml, originalBodyHtml };
+  },
+
+  /**
+   * Copy a body element, marking what Gmail doesn't display (trimmed content, hidden parts)
+   * with the hidden attribute, since stylesheets no longer apply once the copy is detached
+   */
+  cloneVisible(element) {
+    const clone = element.cloneNode(true);
+    const cloneElements = clone.querySelectorAll('*');
+
+    // Both lists are in the same document order (line breaks have no box of their own)
+    element.querySelectorAll('*').forEach((live, index) => {
+      if (live.tagName !== 'BR' && live.getClientRects().length === 0) {
+        cloneElements[index].setAttribute('hidden', '');
+      }
+    });
+
+    return clone;
+  },
+
+  /**
+   * Copy a body element without its quote blocks
+   */
+  removeQuoteBlocks(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(QUOTE_SELECTORS).forEach(quote => {
+      if (!FORWARD_HEADER_PATTERN.test(quote.textContent.slice(0, 300))) quote.remove();
+    });
+    return clone;
+  },
+
+  /**
+   * Get the text of a detached element as displayed
+   * It is laid out off-screen meanwhile, since innerText needs layout to keep the line breaks
+   */
+  getLaidOutText(element) {
+    element.style.cssText = 'position: absolute; left: -10000px; top: 0; width: 600px;';
+    document.body.appendChild(element);
+    const text = element.innerText;
+    element.remove();
+    element.style.cssText = '';
+    return text;
+  },
+
+  /**
+   * Apply the plain text clean-up to rich text: signatures, disclaimers and reply headers are
+   * cut from the end, so trailing blocks go until one is part of the cleaned text
+   * @param {string} html - Sanitized rich text
+   * @param {string} cleanText - Result of cleanBodyText
+   */
+  dropTrailingBlocks(html, cleanText) {
+    const compact = text => text.replace(/\s+/g, '');
+    const kept = compact(cleanText);
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const blocks = Array.from(template.content.children);
+    while (blocks.length > 0 && !kept.includes(compact(blocks[blocks.length - 1].textContent))) {
+      blocks.pop().remove();
+    }
+
+    return template.innerHTML;
+  },
+
+  /**
+   * Remove what is left of the quoted history in plain text ("On ... wrote:" and what follows,
+   * "> " lines), the signature after a "-- " delimiter, and legal disclaimers
+   * @param {string} text - Plain text body
+   * @param {object} options - { disclaimerPatterns } added to the built-in ones
+   */
+  cleanBodyText(text, { disclaimerPatterns = [] } = {}) {
+    let cleaned = text;
+
+    for (const pattern of REPLY_HEADER_PATTERNS) {
+      const match = cleaned.match(pattern);
+      if (match) cleaned = cleaned.slice(0, match.index);
+    }
+    cleaned = cleaned.replace(/^[ \t]*>.*$/gm, '');
+
+    const signatureIndex = cleaned.search(/^--[ \t]*$/m);
+    if (signatureIndex > 0) cleaned = cleaned.slice(0, signatureIndex);
+
+    for (const phrase of [...DISCLAIMER_PATTERNS, ...disclaimerPatterns]) {
+      if (!phrase.trim()) continue;
+      const escaped = phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const disclaimerIndex = cleaned.search(new RegExp(`^[ \\t]*${escaped}`, 'im'));
+      if (disclaimerIndex > 0) cleaned = cleaned.slice(0, disclaimerIndex);
+    }
+
+    return cleaned.replace(/\n{3,}/g, '\n\n').trim();
   },
 
   /**
@@ -72,7 +226,7 @@ const EmailExtractor = {
                             container.querySelector('[data-id]')?.getAttribute('data-id');
         if (attachmentId) {
           // Gmail attachment download URL pattern
-          url = `https://mail.google.com/mail/u/0/?ui=2&ik=&attid=${attachmentId}&disp=safe`;
+          url = `${this.getMailboxUrl()}?ui=2&ik=&attid=${attachmentId}&disp=safe`;
         }
       }
 
@@ -132,6 +286,44 @@ const EmailExtractor = {
     return '';
   },
 
+  /**
+   * Get the index of the signed-in Gmail account (N in /mail/u/N/)
+   */
+  getAccountIndex() {
+    const match = window.location.pathname.match(/\/mail\/u\/(\d+)/);
+    if (match) return match[1];
+
+    // Older links use ?authuser=N instead of /u/N/
+    return new URLSearchParams(window.location.search).get('authuser') || '0';
+  },
+
+  /**
+   * Get the address of the signed-in Gmail account
+   * Gmail shows it in the account button and in the tab title ("Subject - me@example.com - Gmail"),
+   * where only the part before "- Gmail" counts: the subject may hold other addresses
+   */
+  getAccountEmail() {
+    const accountButton = document.querySelector('a[href*="accounts.google.com/SignOutOptions"]');
+    const labelMatch = accountButton?.getAttribute('aria-label')?.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+    if (labelMatch) return labelMatch[0];
+
+    const titleMatch = document.title.match(/(?:^| - )([^\s]+@[^\s]+) - Gmail$/);
+    return titleMatch ? titleMatch[1] : null;
+  },
+
+  /**
+   * Get the base URL of the current mailbox, e.g. https://mail.google.com/mail/u/1/
+   * Downloads use the account index (valid for this browser session);
+   * links meant to be shared (task notes) use the address so they keep working
+   * when the account order differs
+   * @param {object} options - { preferEmail }
+   */
+  getMailboxUrl({ preferEmail = false } = {}) {
+    const email = preferEmail ? this.getAccountEmail() : null;
+    const account = email ? encodeURIComponent(email) : this.getAccountIndex();
+    return `https://mail.google.com/mail/u/${account}/`;
+  },
+
   /**
    * Get the Gmail URL for the current email/thread
    */
@@ -143,7 +335,7 @@ const EmailExtractor = {
     if (currentUrl.includes('#inbox/') || currentUrl.includes('#sent/') ||
         currentUrl.includes('#all/') || currentUrl.includes('#label/') ||
         currentUrl.includes('#search/')) {
-      return currentUrl;
+      return `${this.getMailboxUrl({ preferEmail: true })}${window.location.hash}`;
     }
 
     // Try to get thread ID from DOM
@@ -154,13 +346,63 @@ const EmailExtractor = {
       const threadId = threadElement.getAttribute('data-thread-perm-id') ||
                        threadElement.getAttribute('data-legacy-thread-id');
       if (threadId) {
-        return `https://mail.google.com/mail/u/0/#inbox/${threadId}`;
+        return `${this.getMailboxUrl({ preferEmail: true })}#inbox/${threadId}`;
       }
     }
 
     return currentUrl;
   },
 
+  /**
+   * Get the id of the open thread, as it appears at the end of the email URL
+   */
+  getThreadId() {
+    const hashMatch = window.location.hash.match(/^#(?:inbox|sent|all|label\/[^/]+|search\/[^/]+)\/([a-zA-Z0-9]+)/);
+    if (hashMatch) return hashMatch[1];
+
+    const threadElement = document.querySelector('[data-thread-perm-id]') ||
+                          document.querySelector('[data-legacy-thread-id]');
+    return threadElement?.getAttribute('data-thread-perm-id') ||
+           threadElement?.getAttribute('data-legacy-thread-id') || null;
+  },
+
+  /**
+   * Get the legacy (hex) id of the open thread, the one thread rows carry in list view
+   */
+  getLegacyThreadId() {
+    return document.querySelector('h2[data-legacy-thread-id]')?.getAttribute('data-legacy-thread-id') || null;
+  },
+
+  /**
+   * Get the conversations checked in list view
+   * Only what the row shows is available: subject, sender, snippet and the legacy thread id
+   * (Gmail keeps the rows of other views hidden in the page, hence the visibility check)
+   */
+  getSelectedThreads() {
+    const mailboxUrl = this.getMailboxUrl({ preferEmail: true });
+
+    return Array.from(document.querySelectorAll('tr.zA'))
+      .filter(row => row.offsetParent !== null &&
+        (row.classList.contains('x7') || row.querySelector('[role="checkbox"][aria-checked="true"]')))
+      .map(row => {
+        const legacyThreadId = row.querySelector('[data-legacy-thread-id]')?.getAttribute('data-legacy-thread-id');
+        const senderElement = row.querySelector('.yW [email]');
+        const senderName = senderElement?.getAttribute('name') || senderElement?.textContent.trim();
+        const senderEmail = senderElement?.getAttribute('email');
+
+        return {
+          subject: row.querySelector('.bog')?.textContent.trim() || '',
+          sender: senderEmail ? `${senderName} <${senderEmail}>` : (row.querySelector('.yW')?.textContent.trim() || ''),
+          // Gmail prefixes the snippet with a dash
+          snippet: row.querySelector('.y2')?.textContent.replace(/^\s*[-–]\s*/, '').trim() || '',
+          threadId: legacyThreadId,
+          legacyThreadId,
+          emailUrl: legacyThreadId ? `${mailboxUrl}#all/${legacyThreadId}` : null,
+        };
+      })
+      .filter(thread => thread.legacyThreadId);
+  },
+
   /**
    * Get the message ID from a specific message container
    */
@@ -183,29 +425,35 @@ const EmailExtractor = {
   /**
    * Extract all email data at once
    */
-  extractEmailData() {
+  extractEmailData(options = {}) {
     return {
       subject: this.getSubject(),
-      body: this.getBody(),
+      ...this.getBodies(this.getBodyElement(), options),
       attachments: this.getAttachments(),
       sender: this.getSender(),
+      recipients: this.getRecipients(),
+      labels: this.getLabels(),
       emailUrl: this.getEmailUrl(),
+      threadId: this.getThreadId(),
+      legacyThreadId: this.getLegacyThreadId(),
       emlDownloadUrl: this.getEmlDownloadUrl(),
     };
   },
 
   /**
    * Extract email data from a specific message container in a thread
+   * @param {Element} messageContainer - The message
+   * @param {object} options - Body cleaning options (see getBodies)
    */
-  extractFromMessage(messageContainer) {
+  extractFromMessage(messageContainer, options = {}) {
     // Get thread subject (shared across all messages)
     const subject = this.getSubject();
 
     // Get sender from this specific message
     const sender = this.getSenderFromMessage(messageContainer);
 
-    // Get body from this specific message
-    const body = this.getBodyFromMessage(messageContainer);
+    // Get body from this specific message, cleaned up and as displayed
+    const { body, originalBody, bodyHtml, originalBodyHtml } = this.getBodies(this.getBodyElementFromMessage(messageContainer), options);
 
     // Get attachments from this specific message
     const attachments = this.getAttachmentsFromMessage(messageContainer);
@@ -213,6 +461,9 @@ const EmailExtractor = {
     // Get the date of this message
     const date = this.getDateFromMessage(messageContainer);
 
+    // Get the participants (sender, To and CC) of this message
+    const recipients = this.getRecipients(messageContainer);
+
     // Get email URL and message ID
     const emailUrl = this.getEmailUrl();
     const messageId = this.getMessageIdFromMessage(messageContainer);
@@ -221,10 +472,17 @@ const EmailExtractor = {
     return {
       subject,
       body,
+      originalBody,
+      bodyHtml,
+      originalBodyHtml,
       attachments,
       sender,
+      recipients,
+      labels: this.getLabels(),
       date,
       emailUrl,
+      threadId: this.getThreadId(),
+      legacyThreadId: this.getLegacyThreadId(),
       messageId,
       emlDownloadUrl,
     };
@@ -260,6 +518,13 @@ const EmailExtractor = {
    * Get body content from a specific message container
    */
   getBodyFromMessage(container) {
+    return this.getBodyElementFromMessage(container)?.innerText.trim() || '';
+  },
+
+  /**
+   * Find the body element of a specific message container
+   */
+  getBodyElementFromMessage(container) {
     const selectors = [
       '.a3s.aiL', // Standard email body
       '.ii.gt', // Alternative body container
@@ -269,11 +534,87 @@ const EmailExtractor = {
     for (const selector of selectors) {
       const element = container.querySelector(selector);
       if (element?.innerText) {
-        return element.innerText.trim();
+        return element;
       }
     }
 
-    return '';
+    return null;
+  },
+
+  /**
+   * Get every expanded message of the open thread, oldest first, for a full transcript
+   * Collapsed messages have no body in the page: expand them first (ProjectSelector.expandAllMessages)
+   * @param {object} options - { clean } to clean up each body (see getBodies), with its { disclaimerPatterns }
+   * @returns {Array} [{ sender, date, messageId, body }] where body leaves out text quoted from earlier messages
+   */
+  getThreadMessages({ clean = true, ...options } = {}) {
+    const seenParagraphs = new Set();
+
+    return Array.from(document.querySelectorAll('.gs'))
+      .map(container => {
+        const bodies = this.getBodies(this.getBodyElementFromMessage(container), options);
+        return {
+          sender: this.getSenderFromMessage(container),
+          date: this.getDateFromMessage(container),
+          messageId: this.getMessageIdFromMessage(container),
+          body: this.removeQuotedParagraphs(clean ? bodies.body : bodies.originalBody, seenParagraphs),
+        };
+      })
+      .filter(message => message.body || message.sender);
+  },
+
+  /**
+   * Drop the quoted paragraphs of a body that already appeared in earlier messages (the quoted history),
+   * then remember this body's paragraphs for the next messages
+   * Only "> " lines and what follows a reply header count as quoted: a reply that happens to repeat
+   * an earlier line ("Thanks!", "OK") is kept
+   * Paragraphs are compared without quote markers and line wrapping, which replies often change
+   * @param {string} body - Plain text body
+   * @param {Set} seenParagraphs - Normalized paragraphs of the earlier messages, updated in place
+   */
+  removeQuotedParagraphs(body, seenParagraphs) {
+    const normalize = paragraph => paragraph.replace(/^[ \t]*(?:>[ \t]?)+/gm, '').replace(/\s+/g, ' ').trim();
+
+    // The history starts after the first reply header, if the body still has one
+    const header = REPLY_HEADER_PATTERNS
+      .map(pattern => body.match(pattern))
+      .filter(Boolean)
+      .sort((a, b) => a.index - b.index)[0];
+    const headerStart = header ? header.index : Infinity;
+    const headerEnd = header ? header.index + header[0].length : Infinity;
+
+    // Paragraphs end at blank lines, where "> " quoting starts or stops, and around the reply header
+    const paragraphs = [];
+    let section = null;
+    let offset = 0;
+    for (const line of body.split('\n')) {
+      const isQuoted = /^[ \t]*>/.test(line);
+      const part = offset < headerStart ? 'reply' : offset < headerEnd ? 'header' : 'history';
+      const lineSection = `${part}:${isQuoted}`;
+
+      if (!normalize(line)) {
+        section = null;
+      } else if (lineSection === section) {
+        paragraphs[paragraphs.length - 1].text += `\n${line}`;
+      } else {
+        paragraphs.push({ text: line, quoted: isQuoted || part === 'history', header: part === 'header' });
+        section = lineSection;
+      }
+      offset += line.length + 1;
+    }
+
+    const kept = paragraphs.filter(paragraph => !paragraph.quoted || !seenParagraphs.has(normalize(paragraph.text)));
+    paragraphs.forEach(paragraph => seenParagraphs.add(normalize(paragraph.text)));
+
+    // The reply header introducing the removed history is left at the end
+    if (kept.length < paragraphs.length && kept[kept.length - 1]?.header) {
+      kept.pop();
+    } else if (kept.length < paragraphs.length && kept.length > 0) {
+      const last = kept[kept.length - 1];
+      last.text = last.text.replace(/\n?[^\n]*(?:wrote|a écrit)\s*:\s*$/i, '');
+    }
+
+    return kept.map(paragraph => paragraph.text).filter(Boolean).join('\n\n').trim();
   },
 
   /**
@@ -299,7 +640,7 @@ const EmailExtractor = {
         const attachmentId = attContainer.getAttribute('data-id') ||
                             attContainer.querySelector('[data-id]')?.getAttribute('data-id');
         if (attachmentId) {
-          url = `https://mail.google.com/mail/u/0/?ui=2&ik=&attid=${attachmentId}&disp=safe`;
+          url = `${this.getMailboxUrl()}?ui=2&ik=&attid=${attachmentId}&disp=safe`;
         }
       }
 
@@ -346,8 +687,9 @@ const EmailExtractor = {
 
   /**
    * Get recipients (To field) from the email
+   * @param {Element|Document} root - Limit the search to one message container
    */
-  getRecipients() {
+  getRecipients(root = document) {
     // Try to find the "to" field
     const selectors = [
       '.g2', // Recipients container
@@ -358,7 +700,7 @@ const EmailExtractor = {
     const recipients = [];
 
     for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
+      const elements = root.querySelectorAll(selector);
       elements.forEach(el => {
         const email = el.getAttribute('email');
         const name = el.getAttribute('name') || el.textContent?.trim();
@@ -371,6 +713,29 @@ const EmailExtractor = {
     return recipients;
   },
 
+  /**
+   * Get the Gmail labels of the open thread
+   * Reads the label chips next to the subject, plus the label being browsed (#label/Name)
+   */
+  getLabels() {
+    const labels = [];
+
+    document.querySelectorAll('.ha .at').forEach(chip => {
+      const name = chip.getAttribute('title') || chip.textContent?.trim();
+      if (name && !labels.includes(name)) {
+        labels.push(name);
+      }
+    });
+
+    const hashMatch = window.location.hash.match(/^#label\/([^/]+)/);
+    if (hashMatch) {
+      const name = decodeURIComponent(hashMatch[1].replace(/\+/g, ' '));
+      if (!labels.includes(name)) labels.push(name);
+    }
+
+    return labels;
+  },
+
   /**
    * Get the HTML body of the email
    */
@@ -449,7 +814,7 @@ const EmailExtractor = {
 
   /**
    * Get the download URL for the EML file from Gmail
-   * Gmail format: https://mail.google.com/mail/u/0/?ui=2&ik=XXXX&view=om&th=MESSAGE_ID
+   * Gmail format: https://mail.google.com/mail/u/N/?ui=2&ik=XXXX&view=om&th=MESSAGE_ID
    */
   getEmlDownloadUrl() {
     // Get message ID from the current view
@@ -464,7 +829,7 @@ const EmailExtractor = {
 
     // Construct download URL
     // view=om = original message (EML format)
-    const url = `https://mail.google.com/mail/u/0/?ui=2&ik=${ik}&view=om&th=${messageId}`;
+    const url = `${this.getMailboxUrl()}?ui=2&ik=${ik}&view=om&th=${messageId}`;
     console.log('EML download URL:', url);
     return url;
   },
@@ -514,7 +879,7 @@ const EmailExtractor = {
     // Get the ik parameter
     const ik = this.getIkParameter();
 
-    return `https://mail.google.com/mail/u/0/?ui=2&ik=${ik}&view=om&th=${messageId}`;
+    return `${this.getMailboxUrl()}?ui=2&ik=${ik}&view=om&th=${messageId}`;
   },
 
   /**
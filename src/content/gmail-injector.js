@@ -6,6 +6,9 @@
 const GmailInjector = {
   observer: null,
   injectedButtons: new WeakSet(),
+  linkedTasks: new Map(), // Thread id → Promise of [{ link, task }], most recent link first
+  threadRowLinks: new Map(), // Legacy thread id → link summary (or null) for list-view rows
+  linkedCard: null,
 
   /**
    * Initialize the injector
@@ -64,6 +67,12 @@ const GmailInjector = {
 
     // Inject into individual messages in thread
     this.injectMessageButtons();
+
+    // Show the tasks already linked to the open thread
+    this.injectLinkedBadges();
+
+    // Mark list-view rows of threads that have tasks
+    this.decorateThreadRows();
   },
 
   /**
@@ -231,6 +240,7 @@ const GmailInjector = {
     button.setAttribute('data-tooltip', this.t('createAsanaTask'));
     button.setAttribute('aria-label', this.t('createAsanaTask'));
     button.title = this.t('createAsanaTask');
+    button.dataset.messageId = window.EmailExtractor.getMessageIdFromMessage(messageContainer);
 
     // Simple Asana logo icon
     button.innerHTML = `<span class="asana-mini-icon">A</span>`;
@@ -251,10 +261,303 @@ const GmailInjector = {
     return button;
   },
 
+  /**
+   * Add a linked-task badge next to every Asana button of the open thread
+   * Mini buttons show the task made from their own message, or else the thread's latest one
+   */
+  async injectLinkedBadges() {
+    // Only in an open thread (list view rows carry thread ids too)
+    if (!document.querySelector('[data-message-id]')) return;
+
+    const threadId = window.EmailExtractor.getThreadId();
+    if (!threadId) return;
+
+    const buttons = Array.from(document.querySelectorAll('.asana-gmail-btn, .asana-gmail-btn-mini'))
+      .filter(button => button.dataset.linkedThread !== threadId);
+    if (buttons.length === 0) return;
+    buttons.forEach(button => { button.dataset.linkedThread = threadId; });
+
+    const entries = await this.getLinkedTasks(threadId);
+
+    for (const button of buttons) {
+      if (!button.isConnected) continue;
+
+      // Toolbar buttons outlive thread changes: drop the previous thread's badge
+      if (button.nextElementSibling?.classList.contains('asana-linked-badge')) {
+        button.nextElementSibling.remove();
+      }
+      if (entries.length === 0) continue;
+
+      const mini = button.classList.contains('asana-gmail-btn-mini');
+      const entry = (mini && entries.find(e => e.link.messageId && e.link.messageId === button.dataset.messageId)) ||
+                    entries[0];
+      button.after(this.createLinkedBadge(entry, threadId, mini));
+    }
+  },
+
+  /**
+   * Get the tasks linked to a thread (cached for the page's lifetime)
+   */
+  getLinkedTasks(threadId) {
+    if (!this.linkedTasks.has(threadId)) {
+      this.linkedTasks.set(threadId, this.loadLinkedTasks(threadId));
+    }
+    return this.linkedTasks.get(threadId);
+  },
+
+  /**
+   * Load the links of a thread from the history, then each linked task's current state
+   * Tasks that can't be fetched (deleted, other workspace...) are left out
+   */
+  async loadLinkedTasks(threadId) {
+    try {
+      const links = await chrome.runtime.sendMessage({
+        type: 'GET_LINKS_FOR_THREAD',
+        threadId,
+        legacyThreadId: window.EmailExtractor.getLegacyThreadId(),
+      });
+      if (!Array.isArray(links)) return [];
+
+      // Latest link of each task
+      const latestLinks = new Map();
+      for (const link of links.reverse()) {
+        if (!latestLinks.has(link.taskId)) latestLinks.set(link.taskId, link);
+      }
+
+      const entries = await Promise.all([...latestLinks.values()].map(async link => {
+        const task = await chrome.runtime.sendMessage({ type: 'GET_TASK', taskId: link.taskId, connectionId: link.connectionId });
+        return task && !task.error ? { link, task } : null;
+      }));
+      return entries.filter(Boolean);
+    } catch (error) {
+      console.error('Error loading linked tasks:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Reload the linked tasks of a thread and re-render its badges (after a task or comment is created)
+   * List-view chips are looked up again too
+   */
+  refreshLinkedBadges(threadId) {
+    if (!threadId) return;
+    this.linkedTasks.delete(threadId);
+    this.refreshThreadRows();
+    document.querySelectorAll('.asana-linked-badge').forEach(badge => badge.remove());
+    document.querySelectorAll('.asana-gmail-btn, .asana-gmail-btn-mini').forEach(button => {
+      delete button.dataset.linkedThread;
+    });
+    this.injectLinkedBadges();
+  },
+
+  /**
+   * Forget the list-view chips so rows are looked up again on the next observer pass
+   */
+  refreshThreadRows() {
+    this.threadRowLinks.clear();
+    document.querySelectorAll('tr.zA[data-asana-thread]').forEach(row => {
+      delete row.dataset.asanaThread;
+    });
+    this.decorateThreadRows();
+  },
+
+  /**
+   * Create the badge showing a linked task's name, state and assignee
+   * Mini badges only show the state; the rest is in the tooltip
+   */
+  createLinkedBadge(entry, threadId, mini) {
+    const { task } = entry;
+    const badge = document.createElement('span');
+    badge.className = `asana-linked-badge${mini ? ' asana-linked-badge-mini' : ''}${task.completed ? ' asana-linked-completed' : ''}`;
+    badge.setAttribute('role', 'button');
+    badge.setAttribute('tabindex', '0');
+    badge.title = [
+      task.name,
+      task.completed ? this.t('taskCompleted') : null,
+      task.assignee ? task.assignee.name : this.t('unassigned'),
+    ].filter(Boolean).join(' · ');
+
+    badge.innerHTML = `
+      <span class="asana-linked-check">${task.completed ? '✓' : '○'}</span>
+      ${mini ? '' : `
+        <span class="asana-linked-name">${this.escapeHtml(task.name)}</span>
+        ${task.assignee ? `<span class="asana-linked-assignee">${this.escapeHtml(task.assignee.name)}</span>` : ''}
+      `}
+    `;
+
+    const open = e => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.openLinkedCard(badge, entry, threadId);
+    };
+    badge.addEventListener('click', open);
+    badge.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ' ') open(e);
+    });
+
+    return badge;
+  },
+
+  /**
+   * Open the card of a linked task: open in Asana, add a comment, mark complete
+   */
+  openLinkedCard(badge, entry, threadId) {
+    this.closeLinkedCard();
+    const { task, link } = entry;
+
+    const card = document.createElement('div');
+    card.className = 'asana-linked-card';
+    card.innerHTML = `
+      <div class="asana-selected-task-header">
+        <span class="asana-task-check">${task.completed ? '✓' : '○'}</span>
+        <strong>${this.escapeHtml(task.name)}</strong>
+      </div>
+      ${task.projects?.length ? `<div class="asana-task-project">📁 ${task.projects.map(p => this.escapeHtml(p.name)).join(', ')}</div>` : ''}
+      <div class="asana-task-assignee-info">👤 ${task.assignee ? this.escapeHtml(task.assignee.name) : this.t('unassigned')}</div>
+      <div class="asana-linked-card-actions">
+        <a href="${task.permalink_url || link.taskUrl}" target="_blank" class="asana-linked-card-action">${this.t('openInAsana')}</a>
+        <button type="button" class="asana-linked-card-action" data-action="comment">${this.t('addComment')}</button>
+        ${task.completed ? '' : `<button type="button" class="asana-linked-card-action" data-action="complete">${this.t('markComplete')}</button>`}
+      </div>
+    `;
+
+    // Below the badge, kept inside the viewport
+    const rect = badge.getBoundingClientRect();
+    card.style.top = `${rect.bottom + 6}px`;
+    card.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 300))}px`;
+    card.addEventListener('click', e => e.stopPropagation());
+
+    card.querySelector('[data-action="comment"]').addEventListener('click', () => {
+      this.closeLinkedCard();
+      this.handleButtonClick(null, { commentOnTask: task });
+    });
+
+    card.querySelector('[data-action="complete"]')?.addEventListener('click', async e => {
+      e.target.disabled = true;
+      try {
+        const updated = await chrome.runtime.sendMessage({
+          type: 'UPDATE_TASK',
+          taskId: task.gid,
+          connectionId: link.connectionId,
+          changes: { completed: true },
+        });
+        if (updated.error) {
+          throw new Error(updated.error);
+        }
+
+        this.closeLinkedCard();
+        this.showNotification(this.t('taskMarkedComplete'), 'success');
+        this.refreshLinkedBadges(threadId);
+      } catch (error) {
+        e.target.disabled = false;
+        this.showNotification(error.message, 'error');
+      }
+    });
+
+    document.body.appendChild(card);
+    this.linkedCard = card;
+
+    // Close on outside click or Escape
+    this.linkedCardCloser = e => {
+      if (e.type === 'click' || e.key === 'Escape') this.closeLinkedCard();
+    };
+    document.addEventListener('click', this.linkedCardCloser);
+    document.addEventListener('keydown', this.linkedCardCloser);
+  },
+
+  /**
+   * Close the linked-task card if open
+   */
+  closeLinkedCard() {
+    if (!this.linkedCard) return;
+    this.linkedCard.remove();
+    this.linkedCard = null;
+    document.removeEventListener('click', this.linkedCardCloser);
+    document.removeEventListener('keydown', this.linkedCardCloser);
+  },
+
+  /**
+   * Put an Asana chip on the list-view rows of threads that have linked tasks
+   * Runs on every observer pass, so it only touches rows it hasn't seen (Gmail recycles rows,
+   * hence the thread id check), looks them up in a single request and writes in one frame
+   */
+  async decorateThreadRows() {
+    const rows = Array.from(document.querySelectorAll('tr.zA')).filter(row => {
+      const threadId = this.getRowThreadId(row);
+      return threadId && row.dataset.asanaThread !== threadId;
+    });
+    if (rows.length === 0) return;
+
+    rows.forEach(row => { row.dataset.asanaThread = this.getRowThreadId(row); });
+
+    const unknownIds = [...new Set(rows.map(row => row.dataset.asanaThread))]
+      .filter(threadId => !this.threadRowLinks.has(threadId));
+
+    if (unknownIds.length > 0) {
+      try {
+        const summaries = await chrome.runtime.sendMessage({ type: 'GET_LINK_SUMMARIES', legacyThreadIds: unknownIds });
+        if (summaries.error) {
+          throw new Error(summaries.error);
+        }
+        unknownIds.forEach(threadId => this.threadRowLinks.set(threadId, summaries[threadId] || null));
+      } catch (error) {
+        console.error('Error loading thread links:', error);
+        rows.forEach(row => { delete row.dataset.asanaThread; }); // Retry on the next pass
+        return;
+      }
+    }
+
+    requestAnimationFrame(() => {
+      for (const row of rows) {
+        if (!row.isConnected) continue;
+        row.querySelector('.asana-row-chip')?.remove();
+
+        const summary = this.threadRowLinks.get(row.dataset.asanaThread);
+        const subjectCell = row.querySelector('.xT');
+        if (summary && subjectCell) {
+          subjectCell.prepend(this.createRowChip(summary));
+        }
+      }
+    });
+  },
+
+  /**
+   * Get the legacy thread id of a list-view row
+   */
+  getRowThreadId(row) {
+    return row.querySelector('[data-legacy-thread-id]')?.getAttribute('data-legacy-thread-id') || null;
+  },
+
+  /**
+   * Create the chip shown on a list-view row
+   */
+  createRowChip(summary) {
+    const chip = document.createElement('span');
+    chip.className = `asana-row-chip${summary.completed ? ' asana-row-chip-completed' : ''}`;
+    chip.textContent = `${summary.completed ? '✓ ' : ''}Asana${summary.taskCount > 1 ? ` ×${summary.taskCount}` : ''}`;
+    chip.title = summary.completed
+      ? `${summary.taskName} · ${this.t('taskCompleted')}`
+      : summary.taskName;
+    return chip;
+  },
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  },
+
   /**
    * Handle Asana button click
+   * In list view, the toolbar button creates one task per checked conversation
+   * @param {Element|null} messageContainer - Message to extract, or null for the whole view
+   * @param {object} options - { commentOnTask } to open the modal in comment mode on that task
    */
-  async handleButtonClick(messageContainer = null) {
+  async handleButtonClick(messageContainer = null, { commentOnTask = null } = {}) {
     // Load preferences and initialize i18n with language preference
     const prefs = await chrome.runtime.sendMessage({ type: 'GET_PREFERENCES' }) || {};
     if (window.i18n && window.i18n.init) {
@@ -273,10 +576,17 @@ const GmailInjector = {
       return;
     }
 
+    const selectedThreads = messageContainer || commentOnTask ? [] : window.EmailExtractor.getSelectedThreads();
+    if (selectedThreads.length > 0) {
+      await window.BulkSelector.open(selectedThreads, session.user);
+      return;
+    }
+
     // Extract email data from specific message or whole view
+    const bodyOptions = { disclaimerPatterns: prefs.disclaimerPatterns || [] };
     const emailData = messageContainer
-      ? window.EmailExtractor.extractFromMessage(messageContainer)
-      : window.EmailExtractor.extractEmailData();
+      ? window.EmailExtractor.extractFromMessage(messageContainer, bodyOptions)
+      : window.EmailExtractor.extractEmailData(bodyOptions);
 
     if (!emailData.subject && !emailData.body) {
       this.showNotification(this.t('errorExtractEmail'), 'error');
@@ -284,7 +594,12 @@ const GmailInjector = {
     }
 
     // Open project selector modal
-    window.ProjectSelector.open(emailData, session.user);
+    await window.ProjectSelector.open(emailData, session.user);
+
+    if (commentOnTask) {
+      window.ProjectSelector.switchMode('comment');
+      window.ProjectSelector.selectExistingTask(commentOnTask);
+    }
   },
 
   /**
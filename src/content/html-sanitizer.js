@@ -0,0 +1,220 @@
+/**
+ * HTML Sanitizer - Turns Gmail message HTML into rich text the Tiptap editor and Asana accept
+ * Output only uses p, br, strong, em, u, s, code, ul, ol, li, blockquote and a[href]:
+ * layout markup (tables, divs, styled spans) is flattened into paragraphs and marks,
+ * images become their alt text, and tracking pixels, hidden text, scripts and unsafe links are dropped
+ */
+
+/**
+ * Elements dropped with everything inside
+ */
+const DROPPED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'HEAD', 'TITLE', 'META', 'LINK', 'NOSCRIPT', 'TEMPLATE',
+  'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'SVG', 'CANVAS', 'VIDEO', 'AUDIO',
+  'FORM', 'INPUT', 'BUTTON', 'SELECT', 'TEXTAREA',
+]);
+
+/**
+ * Elements that end the current paragraph and start a new one
+ */
+const BLOCK_TAGS = new Set([
+  'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV', 'CENTER', 'ADDRESS',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'HR', 'FIGURE', 'FIGCAPTION',
+  'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'CAPTION', 'DL', 'DT', 'DD', 'LI',
+]);
+
+/**
+ * Inline elements that map to an Asana mark
+ */
+const MARK_TAGS = {
+  B: 'strong', STRONG: 'strong',
+  I: 'em', EM: 'em', CITE: 'em', DFN: 'em',
+  U: 'u', INS: 'u',
+  S: 's', STRIKE: 's', DEL: 's',
+  CODE: 'code', TT: 'code', KBD: 'code', SAMP: 'code',
+};
+
+/**
+ * Links kept as links; anything else (javascript:, data:, relative...) keeps only its text
+ */
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:)/i;
+
+const HtmlSanitizer = {
+  /**
+   * Convert message HTML into editor-ready rich text
+   * @param {string} html - innerHTML of a Gmail message body
+   * @returns {string} Sanitized HTML, empty when there is no visible text
+   */
+  sanitize(html) {
+    // Template content is inert: nothing runs and no image loads while parsing
+    const template = document.createElement('template');
+    template.innerHTML = html || '';
+    return this.renderBlocks(template.content.childNodes, []);
+  },
+
+  /**
+   * Render nodes as a sequence of paragraphs, lists and blockquotes
+   * @param {NodeList|Array} nodes - Nodes to render
+   * @param {Array} marks - [{ open, close }] inline marks inherited from the ancestors
+   */
+  renderBlocks(nodes, marks) {
+    const writer = { blocks: [], inline: '' };
+    nodes.forEach(node => this.walk(node, marks, writer, false));
+    this.flush(writer);
+    return writer.blocks.join('');
+  },
+
+  /**
+   * Render one node into the writer
+   * @param {boolean} pre - Inside preformatted text, where whitespace is kept
+   */
+  walk(node, marks, writer, pre) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = pre
+        ? this.escapeHtml(node.nodeValue).replace(/\n/g, '<br>')
+        : this.escapeHtml(node.nodeValue.replace(/\s+/g, ' '));
+
+      // No leading whitespace at the start of a paragraph
+      if (!text.trim() && !writer.inline.trim()) return;
+      writer.inline += this.wrap(text, marks);
+      return;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName.toUpperCase();
+    if (DROPPED_TAGS.has(tag) || this.isHidden(node)) return;
+
+    switch (tag) {
+      case 'BR':
+        writer.inline += '<br>';
+        return;
+
+      case 'IMG':
+        // Images aren't supported by Asana: keep what they say (e.g. a linked "Download" button)
+        if (!this.isTrackingPixel(node) && node.getAttribute('alt')?.trim()) {
+          writer.inline += this.wrap(this.escapeHtml(node.getAttribute('alt').trim()), marks);
+        }
+        return;
+
+      case 'UL':
+      case 'OL': {
+        this.flush(writer);
+        const items = Array.from(node.children)
+          .map(child => this.renderBlocks(child.tagName === 'LI' ? child.childNodes : [child], marks))
+          .filter(Boolean);
+        if (items.length > 0) {
+          const listTag = tag.toLowerCase();
+          writer.blocks.push(`<${listTag}>${items.map(item => `<li>${item}</li>`).join('')}</${listTag}>`);
+        }
+        return;
+      }
+
+      case 'BLOCKQUOTE': {
+        this.flush(writer);
+        const content = this.renderBlocks(node.childNodes, marks);
+        if (content) writer.blocks.push(`<blockquote>${content}</blockquote>`);
+        return;
+      }
+
+      case 'TD':
+      case 'TH':
+        // Cells of a row read as one line
+        if (writer.inline.trim()) writer.inline += ' ';
+        break;
+
+      default:
+        break;
+    }
+
+    const childMarks = [...marks, ...this.getMarks(node, marks)];
+    const isBlock = BLOCK_TAGS.has(tag);
+    const isPre = pre || tag === 'PRE';
+
+    if (isBlock) this.flush(writer);
+    node.childNodes.forEach(child => this.walk(child, childMarks, writer, isPre));
+    if (isBlock) this.flush(writer);
+  },
+
+  /**
+   * Marks an element adds: from its tag, its inline style and, for links, its URL
+   * Marks already open on an ancestor aren't opened twice
+   */
+  getMarks(element, openMarks) {
+    const tag = element.tagName.toUpperCase();
+    const style = (element.getAttribute('style') || '').toLowerCase();
+    const names = new Set();
+
+    if (MARK_TAGS[tag]) names.add(MARK_TAGS[tag]);
+    if (/^H[1-6]$/.test(tag) || /font-weight\s*:\s*(?:bold|[6-9]00)/.test(style)) names.add('strong');
+    if (/font-style\s*:\s*italic/.test(style)) names.add('em');
+    if (/text-decoration(?:-line)?\s*:[^;]*underline/.test(style) && tag !== 'A') names.add('u');
+    if (/text-decoration(?:-line)?\s*:[^;]*line-through/.test(style)) names.add('s');
+
+    const marks = [...names]
+      .filter(name => !openMarks.some(mark => mark.name === name))
+      .map(name => ({ name, open: `<${name}>`, close: `</${name}>` }));
+
+    const href = tag === 'A' ? (element.getAttribute('href') || '').trim() : '';
+    if (SAFE_URL_PATTERN.test(href) && !openMarks.some(mark => mark.name === 'a')) {
+      marks.push({ name: 'a', open: `<a href="${this.escapeHtml(href)}">`, close: '</a>' });
+    }
+
+    return marks;
+  },
+
+  /**
+   * Wrap text in the open marks, outermost first
+   */
+  wrap(text, marks) {
+    return marks.map(mark => mark.open).join('') + text + marks.map(mark => mark.close).reverse().join('');
+  },
+
+  /**
+   * End the current paragraph, if it has any visible text
+   */
+  flush(writer) {
+    const paragraph = writer.inline
+      .replace(/^(?:\s|<br>)+|(?:\s|<br>)+$/g, '')
+      .replace(/ {2,}/g, ' ');
+    writer.inline = '';
+
+    if (paragraph.replace(/<[^>]+>/g, '').trim()) {
+      writer.blocks.push(`<p>${paragraph}</p>`);
+    }
+  },
+
+  /**
+   * Elements hidden by inline style (preheaders, tracking blocks)
+   */
+  isHidden(element) {
+    const style = (element.getAttribute('style') || '').toLowerCase();
+    return /display\s*:\s*none|visibility\s*:\s*hidden|max-height\s*:\s*0(?:px)?\s*(?:;|$)/.test(style) ||
+      element.hasAttribute('hidden');
+  },
+
+  /**
+   * Images of one or two pixels, used to track when the email is opened
+   */
+  isTrackingPixel(image) {
+    const style = (image.getAttribute('style') || '').toLowerCase();
+    const size = value => parseInt(value, 10);
+    const width = size(image.getAttribute('width')) || size(style.match(/(?:^|;)\s*width\s*:\s*(\d+)px/)?.[1]);
+    const height = size(image.getAttribute('height')) || size(style.match(/(?:^|;)\s*height\s*:\s*(\d+)px/)?.[1]);
+    return (width > 0 && width <= 2) || (height > 0 && height <= 2);
+  },
+
+  /**
+   * Escape HTML special characters (quotes too, for attribute values)
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+};
+
+// Make available globally
+window.HtmlSanitizer = HtmlSanitizer;
@@ -5,44 +5,36 @@
  */
 
 /**
- * Convert Tiptap HTML to Asana-compatible XML
- * Asana supports: strong, em, u, s, code, ol, ul, li, blockquote, a (href only)
- * Does NOT support: p, br, div, span, h1-h6, img, hr, etc.
- * &nbsp; is NOT valid XML - must be replaced
+ * Localized messages for typed Asana errors (see ERROR_TYPES in asana-client.js)
  */
-function tiptapToAsanaXML(html) {
-  if (!html) return '';
-
-  // Replace &nbsp; with regular space (not valid XML entity)
-  html = html.replace(/&nbsp;/g, ' ');
-  // Replace any other HTML entities not valid in XML
-  html = html.replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;');
-
-  // Remove <p> tags (with or without attributes) - replace with newlines
-  html = html.replace(/<p[^>]*>/g, '');
-  html = html.replace(/<\/p>/g, '\n');
-
-  // Convert <br> to newlines
-  html = html.replace(/<br\s*\/?>/g, '\n');
-
-  // Remove unsupported tags entirely
-  html = html.replace(/<\/?(div|span|h[1-6]|img|hr|table|tr|td|th|thead|tbody|pre|figure|figcaption)[^>]*>/g, '');
-
-  // Strip attributes from all tags except <a> (Asana only allows href on <a>)
-  // Keep <a href="..."> but strip everything else from <a>
-  html = html.replace(/<a\s+[^>]*?(href="[^"]*")[^>]*>/g, '<a $1>');
-
-  // Strip attributes from all other tags (strong, em, u, s, code, ol, ul, li, blockquote)
-  html = html.replace(/<(strong|em|u|s|code|ol|ul|li|blockquote)\s+[^>]*>/g, '<$1>');
+const ERROR_MESSAGE_KEYS = {
+  auth: 'errorAuth',
+  permission: 'errorPermission',
+  not_found: 'errorNotFound',
+  rate_limit: 'errorRateLimit',
+  network: 'errorNetwork',
+  server: 'errorServer',
+};
 
-  // Remove empty tags
-  html = html.replace(/<(\w+)>\s*<\/\1>/g, '');
+/**
+ * A text line that starts with a bullet or a number ("- item", "• item", "1. item", "2) item")
+ */
+const LIST_LINE_PATTERN = /^\s*(?:[-*•·▪◦‣–]|\d+[.)])\s+(.+)$/;
 
-  // Clean up multiple newlines
-  html = html.replace(/\n{3,}/g, '\n\n');
+/**
+ * Quick due date buttons, as offsets from today
+ */
+const DUE_DATE_SHORTCUTS = {
+  today: () => 0,
+  tomorrow: () => 1,
+  nextMonday: today => ((8 - today.getDay()) % 7) || 7,
+  inOneWeek: () => 7,
+};
 
-  return html.trim();
-}
+/**
+ * Parts of the email that custom field mappings can read from
+ */
+const EMAIL_SOURCES = ['senderDomain', 'senderEmail', 'senderName', 'subject', 'body'];
 
 const ProjectSelector = {
   modal: null,
@@ -53,13 +45,27 @@ const ProjectSelector = {
   users: [],
   tags: [],
   preferences: {},
-  selectedProject: null,
+  selectedProjects: [],
   selectedTags: [],
+  selectedFollowers: [],
+  removedFollowerIds: new Set(), // Matched participants the user took out, so later pages don't re-add them
   selectedExistingTask: null,
-  customFields: [],
+  taskPanel: null, // { task, values } Current state and pending edits of the selected existing task
+  mention: null, // { range, users, index } @-mention being typed in the editor
+  mentionDropdown: null,
+  duplicatesConfirmed: false, // User chose to create a task even though the thread already has one
+  projectSections: {}, // Sections of each selected project, by project gid
+  selectedSections: {}, // Chosen section gid, by project gid
+  projectCustomFields: {}, // Custom fields of each selected project, by project gid
+  customFields: [], // Union of the custom fields of all selected projects
   customFieldValues: {},
+  subtasks: [], // [{ name, checked, assignee, dueDate }] created under the new task when splitting
+  ruleMatch: null, // { actions, ruleNames } from RuleEngine for the open email
+  selectedTemplate: null, // Task template picked in the modal
+  activePresetActions: null, // Template or rule actions that apply to the selected workspace
   mode: 'create', // 'create' or 'comment'
   editor: null, // Tiptap editor instance
+  workspaceLoadId: 0, // Guards against pages from a previously selected workspace
 
   // Shorthand for i18n
   t(key, subs) {
@@ -72,20 +78,43 @@ const ProjectSelector = {
   async open(emailData, user) {
     this.emailData = emailData;
     this.user = user;
-    this.selectedProject = null;
+    this.selectedProjects = [];
     this.selectedTags = [];
+    this.selectedFollowers = [];
+    this.removedFollowerIds = new Set();
     this.selectedExistingTask = null;
+    this.taskPanel = null;
+    this.projectSections = {};
+    this.selectedSections = {};
+    this.projectCustomFields = {};
     this.customFields = [];
     this.customFieldValues = {};
+    this.subtasks = [];
+    this.selectedTemplate = null;
+    this.duplicatesConfirmed = false;
     this.mode = 'create';
 
     // Load saved preferences
     await this.loadPreferences();
 
+    // Find the routing rules that match this email
+    this.ruleMatch = window.RuleEngine
+      ? window.RuleEngine.evaluate(this.preferences.rules, emailData, this.preferences.ruleMode, this.preferences.activeConnectionId)
+      : null;
+    this.activePresetActions = null;
+
     // Create and show modal
     this.createModal();
     document.body.appendChild(this.modal);
 
+    // Due date from the rule (offset in days from today)
+    const dueDateOffset = this.ruleMatch?.actions.dueDateOffset;
+    if (dueDateOffset != null) {
+      const date = new Date();
+      date.setDate(date.getDate() + Number(dueDateOffset));
+      this.modal.querySelector('#asana-due-date').value = this.formatLocalDate(date);
+    }
+
     // Animate in
     requestAnimationFrame(() => {
       this.modal.classList.add('asana-modal-visible');
@@ -126,9 +155,10 @@ const ProjectSelector = {
    */
   async savePreferences(prefs) {
     this.preferences = { ...this.preferences, ...prefs };
+    // Only the changed keys: the rest may have been edited in the popup since the modal opened
     await chrome.runtime.sendMessage({
       type: 'SAVE_PREFERENCES',
-      preferences: this.preferences,
+      preferences: prefs,
     });
   },
 
@@ -139,7 +169,10 @@ const ProjectSelector = {
     this.modal = document.createElement('div');
     this.modal.className = 'asana-modal-overlay';
 
-    const { subject, body, attachments, sender, emailUrl } = this.emailData;
+    const { subject, body, originalBody, bodyHtml, originalBodyHtml, attachments, sender, emailUrl } = this.emailData;
+    // Templates saved for another Asana connection point to gids that don't exist here
+    const templates = (this.preferences.templates || [])
+      .filter(t => !t.connectionId || t.connectionId === this.preferences.activeConnectionId);
 
     // Truncate body for preview
     const bodyPreview = body && body.length > 500 ? body.substring(0, 500) + '...' : (body || '');
@@ -222,6 +255,16 @@ const ProjectSelector = {
         </div>
 
         <div class="asana-modal-body">
+          ${templates.length > 0 ? `
+            <div class="asana-form-group">
+              <label class="asana-label" for="asana-template">${this.t('template')}</label>
+              <select id="asana-template" class="asana-select">
+                <option value="">${this.t('noTemplate')}</option>
+                ${templates.map(template => `<option value="${template.id}">${this.escapeHtml(template.name)}</option>`).join('')}
+              </select>
+            </div>
+          ` : ''}
+
           <!-- Email Preview Section -->
           <div class="asana-preview-section">
             <div class="asana-preview-header">
@@ -247,6 +290,12 @@ const ProjectSelector = {
                   <span class="asana-preview-label">${this.t('bodyPreview')}</span>
                   <span class="asana-toggle-icon">▼</span>
                 </div>
+                ${originalBody && originalBody !== body ? `
+                  <label class="asana-checkbox-label asana-clean-body-toggle">
+                    <input type="checkbox" id="asana-clean-body" checked>
+                    <span>${this.t('removeQuotesAndSignature')}</span>
+                  </label>
+                ` : ''}
                 <div class="asana-preview-body" id="asana-body-content">
                   <div class="asana-editor-toolbar" id="asana-editor-toolbar">
                     <button type="button" data-action="bold" title="Gras"><b>B</b></button>
@@ -269,6 +318,10 @@ const ProjectSelector = {
 
           <hr class="asana-divider">
 
+          ${this.ruleMatch ? `
+            <div class="asana-rule-banner">⚡ ${this.t('ruleApplied', [this.escapeHtml(this.ruleMatch.ruleNames.join(', '))])}</div>
+          ` : ''}
+
           <!-- Mode Toggle -->
           <div class="asana-mode-toggle">
             <button type="button" class="asana-mode-btn asana-mode-active" id="asana-mode-create" data-mode="create">
@@ -308,14 +361,21 @@ const ProjectSelector = {
             </div>
 
             <div class="asana-form-group asana-form-half">
-              <label class="asana-label">${this.t('project')}</label>
-              <div class="asana-autocomplete" id="asana-project-autocomplete">
+              <label class="asana-label">${this.t('projects')}</label>
+              <div class="asana-autocomplete asana-autocomplete-multi" id="asana-project-autocomplete">
+                <div class="asana-tags-selected" id="asana-projects-selected"></div>
                 <input type="text" class="asana-input asana-autocomplete-input" id="asana-project-input" placeholder="${this.t('selectWorkspaceFirst')}" disabled>
                 <div class="asana-autocomplete-dropdown" id="asana-project-dropdown"></div>
               </div>
             </div>
           </div>
 
+          <!-- Sections (one select per selected project that has sections) -->
+          <div id="asana-section-group" class="asana-form-group" style="display: none;">
+            <label class="asana-label">${this.t('section')}</label>
+            <div id="asana-sections-container"></div>
+          </div>
+
           <div class="asana-form-row">
             <div class="asana-form-group asana-form-half">
               <label class="asana-label" for="asana-assignee">${this.t('assignee')}</label>
@@ -325,8 +385,22 @@ const ProjectSelector = {
             </div>
 
             <div class="asana-form-group asana-form-half">
-              <label class="asana-label" for="asana-due-date">${this.t('dueDate')}</label>
+              <label class="asana-label" for="asana-start-date">${this.t('startDate')}</label>
+              <input type="date" id="asana-start-date" class="asana-input">
+            </div>
+          </div>
+
+          <div class="asana-form-group" id="asana-due-group">
+            <label class="asana-label" for="asana-due-date">${this.t('dueDate')}</label>
+            <div class="asana-due-inputs">
               <input type="date" id="asana-due-date" class="asana-input" min="${today}">
+              <input type="time" id="asana-due-time" class="asana-input" title="${this.t('dueTime')}">
+              <span class="asana-text-muted">${this.escapeHtml(Intl.DateTimeFormat().resolvedOptions().timeZone || '')}</span>
+            </div>
+            <div class="asana-date-shortcuts">
+              ${Object.keys(DUE_DATE_SHORTCUTS).map(key => `
+                <button type="button" class="asana-date-shortcut" data-shortcut="${key}">${this.t(`shortcut_${key}`)}</button>
+              `).join('')}
             </div>
           </div>
 
@@ -339,17 +413,48 @@ const ProjectSelector = {
             </div>
           </div>
 
+          <!-- Followers (pre-filled with the email participants found in the workspace) -->
+          <div class="asana-form-group">
+            <label class="asana-label">${this.t('followers')}</label>
+            <div class="asana-autocomplete asana-autocomplete-multi" id="asana-followers-autocomplete">
+              <div class="asana-tags-selected" id="asana-followers-selected"></div>
+              <input type="text" class="asana-input asana-autocomplete-input" id="asana-followers-input" placeholder="${this.t('selectWorkspaceFirst')}" disabled>
+              <div class="asana-autocomplete-dropdown" id="asana-followers-dropdown"></div>
+            </div>
+            <div class="asana-unmatched-participants" id="asana-unmatched-participants"></div>
+          </div>
+
           <!-- Custom Fields Section (populated dynamically when project is selected) -->
           <div id="asana-custom-fields-section" class="asana-form-group" style="display: none;">
             <label class="asana-label">${this.t('customFields')}</label>
             <div id="asana-custom-fields-container"></div>
           </div>
 
+          <!-- Subtasks (create mode only) -->
+          <div id="asana-subtasks-section" class="asana-form-group">
+            <label class="asana-checkbox-label">
+              <input type="checkbox" id="asana-split-subtasks">
+              <span>${this.t('splitIntoSubtasks')}</span>
+            </label>
+            <div id="asana-subtasks-panel" class="asana-subtasks-panel" style="display: none;">
+              <div class="asana-subtasks-header">
+                <span class="asana-subtasks-hint">${this.t('subtasksHint')}</span>
+                <button type="button" class="asana-btn-expand-all" id="asana-detect-subtasks">${this.t('detectSubtasks')}</button>
+              </div>
+              <div id="asana-subtasks-list"></div>
+              <button type="button" class="asana-btn-add-subtask" id="asana-add-subtask">+ ${this.t('addSubtask')}</button>
+            </div>
+          </div>
+
           <div class="asana-form-group asana-options-group">
             <label class="asana-checkbox-label">
               <input type="checkbox" id="asana-include-body" ${this.preferences.includeBody !== false ? 'checked' : ''}>
               <span>${this.t('includeEmailBody')}</span>
             </label>
+            <label class="asana-checkbox-label">
+              <input type="checkbox" id="asana-include-thread" ${this.preferences.includeThread ? 'checked' : ''}>
+              <span>${this.t('includeFullThread')}</span>
+            </label>
             <label class="asana-checkbox-label">
               <input type="checkbox" id="asana-include-link" ${this.preferences.includeLink !== false ? 'checked' : ''}>
               <span>${this.t('includeGmailLink')}</span>
@@ -366,6 +471,7 @@ const ProjectSelector = {
 
           ${attachmentCheckboxes}
 
+          <div class="asana-duplicate-warning" id="asana-duplicate-warning" style="display: none;"></div>
           <div class="asana-status" id="asana-status"></div>
         </div>
 
@@ -381,6 +487,7 @@ const ProjectSelector = {
     this.modal.querySelector('#asana-cancel').addEventListener('click', () => this.close());
     this.modal.querySelector('#asana-create').addEventListener('click', () => this.createTask());
     this.modal.querySelector('#asana-workspace').addEventListener('change', e => this.onWorkspaceChange(e));
+    this.modal.querySelector('#asana-template')?.addEventListener('change', e => this.applyTemplate(e.target.value));
 
     // Close on overlay click
     this.modal.addEventListener('click', e => {
@@ -393,9 +500,18 @@ const ProjectSelector = {
     // Setup tags autocomplete
     this.setupTagsAutocomplete();
 
+    // Setup followers autocomplete
+    this.setupFollowersAutocomplete();
+
+    // Setup due date shortcuts
+    this.setupDueDateShortcuts();
+
     // Setup task search autocomplete
     this.setupTaskSearchAutocomplete();
 
+    // Setup subtasks panel
+    this.setupSubtasks();
+
     // Mode toggle buttons
     this.modal.querySelectorAll('.asana-mode-btn').forEach(btn => {
       btn.addEventListener('click', () => this.switchMode(btn.dataset.mode));
@@ -415,6 +531,12 @@ const ProjectSelector = {
     // Initialize Tiptap editor
     this.initTiptapEditor();
 
+    // Switch the editor between the cleaned-up body and the original one
+    this.modal.querySelector('#asana-clean-body')?.addEventListener('change', e => {
+      const [html, text] = e.target.checked ? [bodyHtml, body] : [originalBodyHtml, originalBody];
+      this.editor?.commands.setContent(html || window.TiptapAsana.textToHTML(text));
+    });
+
     // Toggle message attachment groups
     this.modal.querySelectorAll('.asana-message-header').forEach(header => {
       header.addEventListener('click', () => {
@@ -448,8 +570,8 @@ const ProjectSelector = {
     const editorContainer = this.modal.querySelector('#asana-tiptap-editor');
     if (!editorContainer || !window.TiptapAsana) return;
 
-    // Convert plain text to HTML for editor
-    const initialContent = window.TiptapAsana.textToHTML(this.emailData.body || '');
+    // Rich text from the email, or plain text converted to HTML for editor
+    const initialContent = this.emailData.bodyHtml || window.TiptapAsana.textToHTML(this.emailData.body || '');
 
     // Create editor
     this.editor = window.TiptapAsana.createAsanaEditor(editorContainer, initialContent, {
@@ -459,6 +581,10 @@ const ProjectSelector = {
       onSelectionUpdate: () => {
         this.updateToolbarState();
       },
+      mentions: {
+        onChange: suggestion => this.updateMentionSuggestions(suggestion),
+        onKeyDown: event => this.handleMentionKey(event),
+      },
     });
 
     // Setup toolbar buttons
@@ -593,6 +719,95 @@ const ProjectSelector = {
     return this.emailData.body || '';
   },
 
+  /**
+   * Show the workspace users matching the @-mention being typed, under the "@"
+   * The list lives on the page rather than in the modal, whose scrolling would cut it off
+   * @param {object|null} suggestion - { query, range, rect } from the editor, null when no mention is typed
+   */
+  updateMentionSuggestions(suggestion) {
+    if (!suggestion) {
+      this.mention = null;
+      this.mentionDropdown?.remove();
+      this.mentionDropdown = null;
+      return;
+    }
+
+    if (!this.mentionDropdown) {
+      this.mentionDropdown = document.createElement('div');
+      this.mentionDropdown.className = 'asana-mention-dropdown';
+      document.body.appendChild(this.mentionDropdown);
+    }
+
+    const query = suggestion.query.toLowerCase();
+    const users = this.users
+      .filter(u => u.name.toLowerCase().includes(query) || u.email?.toLowerCase().includes(query))
+      .slice(0, 8);
+
+    this.mention = { range: suggestion.range, users, index: 0 };
+    this.mentionDropdown.style.left = `${suggestion.rect.left}px`;
+    this.mentionDropdown.style.top = `${suggestion.rect.bottom + 4}px`;
+    this.renderMentionSuggestions(suggestion.query);
+  },
+
+  /**
+   * Render the @-mention suggestions
+   */
+  renderMentionSuggestions(query) {
+    const dropdown = this.mentionDropdown;
+    const { users, index } = this.mention;
+
+    if (users.length === 0) {
+      dropdown.innerHTML = `<div class="asana-autocomplete-empty">${this.t('noUsersFound')}</div>`;
+      return;
+    }
+
+    dropdown.innerHTML = users.map((u, i) => `
+      <div class="asana-autocomplete-item ${i === index ? 'asana-autocomplete-highlighted' : ''}" data-id="${u.gid}">
+        ${this.highlightMatch(u.name, query)}
+        ${u.email ? `<span class="asana-text-muted">${this.highlightMatch(u.email, query)}</span>` : ''}
+      </div>
+    `).join('');
+
+    dropdown.querySelectorAll('.asana-autocomplete-item').forEach(item => {
+      // mousedown, so the editor keeps the focus and the cursor
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.insertMention(users.find(u => u.gid === item.dataset.id));
+      });
+    });
+  },
+
+  /**
+   * Keyboard navigation in the @-mention suggestions
+   * @returns {boolean} Whether the key was handled (and kept from the editor)
+   */
+  handleMentionKey(event) {
+    if (!this.mention || this.mention.users.length === 0) return false;
+
+    const items = this.mentionDropdown.querySelectorAll('.asana-autocomplete-item');
+    const count = this.mention.users.length;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      this.mention.index = (this.mention.index + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      this.highlightItem(items, this.mention.index);
+      return true;
+    }
+    if (event.key === 'Enter' || event.key === 'Tab') {
+      this.insertMention(this.mention.users[this.mention.index]);
+      return true;
+    }
+    return false;
+  },
+
+  /**
+   * Replace the typed "@query" with a mention, which notifies the user in Asana
+   */
+  insertMention(user) {
+    if (!user || !this.mention || !this.editor) return;
+
+    this.editor.chain().focus().insertMention({ range: this.mention.range, gid: user.gid, name: user.name }).run();
+  },
+
   /**
    * Destroy editor when closing modal
    */
@@ -615,7 +830,7 @@ const ProjectSelector = {
 
     input.addEventListener('input', () => {
       const query = input.value.toLowerCase();
-      const filtered = this.projects.filter(p =>
+      const filtered = this.getAvailableProjects().filter(p =>
         p.name.toLowerCase().includes(query)
       );
       this.renderProjectDropdown(filtered, query);
@@ -624,7 +839,7 @@ const ProjectSelector = {
 
     input.addEventListener('focus', () => {
       container.classList.add('asana-autocomplete-open');
-      this.renderProjectDropdown(this.projects, '');
+      this.renderProjectDropdown(this.getAvailableProjects(), '');
     });
 
     input.addEventListener('keydown', (e) => {
@@ -640,6 +855,8 @@ const ProjectSelector = {
       } else if (e.key === 'Enter' && highlightedIndex >= 0) {
         e.preventDefault();
         items[highlightedIndex]?.click();
+      } else if (e.key === 'Backspace' && input.value === '' && this.selectedProjects.length > 0) {
+        this.removeProject(this.selectedProjects[this.selectedProjects.length - 1]);
       } else if (e.key === 'Escape') {
         container.classList.remove('asana-autocomplete-open');
       }
@@ -653,6 +870,13 @@ const ProjectSelector = {
     });
   },
 
+  /**
+   * Projects that can still be added
+   */
+  getAvailableProjects() {
+    return this.projects.filter(p => !this.selectedProjects.find(s => s.gid === p.gid));
+  },
+
   /**
    * Render project dropdown items
    */
@@ -675,29 +899,162 @@ const ProjectSelector = {
       item.addEventListener('click', () => {
         const project = this.projects.find(p => p.gid === item.dataset.id);
         if (project) {
+          const input = this.modal.querySelector('#asana-project-input');
+          input.value = '';
+          input.focus();
           this.selectProject(project);
+          this.renderProjectDropdown(this.getAvailableProjects(), '');
         }
       });
     });
   },
 
   /**
-   * Select a project
+   * Add a project to the selection
    */
   async selectProject(project) {
-    this.selectedProject = project;
-    const input = this.modal.querySelector('#asana-project-input');
+    if (this.selectedProjects.find(p => p.gid === project.gid)) return;
+
+    this.selectedProjects.push(project);
+    this.renderSelectedProjects();
+
+    // Save preference (first project is the one restored next time)
+    this.savePreferences({ lastProjectId: this.selectedProjects[0].gid });
+
+    // Apply the project's default due date shortcut unless a date is already set
+    const shortcut = this.preferences.dueDateShortcutsByProject?.[project.gid];
+    if (shortcut && !this.modal.querySelector('#asana-due-date').value) {
+      this.applyDueDateShortcut(shortcut);
+    }
+
+    // Load sections and custom fields for this project
+    await Promise.all([
+      this.loadSections(project.gid),
+      this.loadCustomFields(project.gid),
+    ]);
+  },
+
+  /**
+   * Remove a project from the selection
+   */
+  removeProject(project) {
+    this.selectedProjects = this.selectedProjects.filter(p => p.gid !== project.gid);
+    delete this.projectSections[project.gid];
+    delete this.selectedSections[project.gid];
+    delete this.projectCustomFields[project.gid];
+
+    this.renderSelectedProjects();
+    this.renderSections();
+    this.mergeCustomFields();
+
+    // Update dropdown if open
     const container = this.modal.querySelector('#asana-project-autocomplete');
+    if (container.classList.contains('asana-autocomplete-open')) {
+      this.renderProjectDropdown(this.getAvailableProjects(), '');
+    }
+  },
 
-    input.value = project.name;
-    container.classList.remove('asana-autocomplete-open');
-    container.classList.add('asana-autocomplete-selected');
+  /**
+   * Render selected projects as chips
+   */
+  renderSelectedProjects() {
+    const container = this.modal.querySelector('#asana-projects-selected');
+
+    container.innerHTML = this.selectedProjects.map(project => `
+      <span class="asana-selected-tag" style="--tag-color: ${this.getTagColor(project.color)}" data-id="${project.gid}">
+        ${this.escapeHtml(project.name)}
+        <span class="asana-tag-remove">&times;</span>
+      </span>
+    `).join('');
+
+    // Add remove handlers
+    container.querySelectorAll('.asana-selected-tag').forEach(el => {
+      el.querySelector('.asana-tag-remove').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const project = this.selectedProjects.find(p => p.gid === el.dataset.id);
+        if (project) this.removeProject(project);
+      });
+    });
+  },
+
+  /**
+   * Load the sections of a project and preselect the one remembered for it
+   */
+  async loadSections(projectId) {
+    try {
+      const sections = await chrome.runtime.sendMessage({ type: 'GET_SECTIONS', projectId });
+      if (sections.error) {
+        throw this.toError(sections);
+      }
+
+      // The project may have been removed while its sections were loading
+      if (!this.modal || !this.selectedProjects.find(p => p.gid === projectId)) return;
+
+      this.projectSections[projectId] = sections;
+
+      // The template or rule section wins over the one remembered for the project
+      const presetSection = this.activePresetActions?.projectId === projectId ? this.activePresetActions.sectionId : null;
+      const savedSection = this.preferences.sectionsByProject?.[projectId];
+      const sectionToSelect = [presetSection, savedSection].find(gid => gid && sections.some(s => s.gid === gid));
+      if (sectionToSelect) {
+        this.selectedSections[projectId] = sectionToSelect;
+      }
+
+      this.renderSections();
+
+    } catch (error) {
+      console.error('Error loading sections:', error);
+    }
+  },
+
+  /**
+   * Render one section select per selected project that has sections
+   */
+  renderSections() {
+    const group = this.modal.querySelector('#asana-section-group');
+    const container = this.modal.querySelector('#asana-sections-container');
+    const projects = this.selectedProjects.filter(p => this.projectSections[p.gid]?.length > 0);
+
+    if (projects.length === 0) {
+      group.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = projects.map(project => `
+      <div class="asana-custom-field">
+        <label class="asana-cf-label" for="asana-section-${project.gid}">${this.escapeHtml(project.name)}</label>
+        <select id="asana-section-${project.gid}" class="asana-select asana-section-select" data-project-id="${project.gid}">
+          <option value="">${this.t('defaultSection')}</option>
+          ${this.projectSections[project.gid].map(s => `
+            <option value="${s.gid}" ${this.selectedSections[project.gid] === s.gid ? 'selected' : ''}>${this.escapeHtml(s.name)}</option>
+          `).join('')}
+        </select>
+      </div>
+    `).join('');
+    group.style.display = '';
 
-    // Save preference
-    this.savePreferences({ lastProjectId: project.gid });
+    container.querySelectorAll('.asana-section-select').forEach(select => {
+      select.addEventListener('change', () => this.onSectionChange(select.dataset.projectId, select.value));
+    });
+  },
+
+  /**
+   * Remember the chosen section as the default for its project
+   */
+  onSectionChange(projectId, sectionId) {
+    if (sectionId) {
+      this.selectedSections[projectId] = sectionId;
+    } else {
+      delete this.selectedSections[projectId];
+    }
 
-    // Load custom fields for this project
-    await this.loadCustomFields(project.gid);
+    this.savePreferences({
+      sectionsByProject: {
+        ...(this.preferences.sectionsByProject || {}),
+        [projectId]: sectionId || null,
+      },
+    });
   },
 
   /**
@@ -840,117 +1197,94 @@ const ProjectSelector = {
   },
 
   /**
-   * Highlight matching text in autocomplete
+   * Setup the due date shortcut buttons
+   * Clicking the active shortcut again clears it (and the project default)
    */
-  highlightMatch(text, query) {
-    if (!query) return this.escapeHtml(text);
+  setupDueDateShortcuts() {
+    const dueDateInput = this.modal.querySelector('#asana-due-date');
+
+    this.modal.querySelectorAll('.asana-date-shortcut').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const shortcut = btn.classList.contains('asana-date-shortcut-active') ? null : btn.dataset.shortcut;
+        this.applyDueDateShortcut(shortcut);
+        this.saveDueDateShortcut(shortcut);
+      });
+    });
 
-    const escaped = this.escapeHtml(text);
-    const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-    return escaped.replace(regex, '<strong>$1</strong>');
+    // A date typed by hand is no longer a shortcut
+    dueDateInput.addEventListener('input', () => this.markDueDateShortcut(null));
   },
 
   /**
-   * Highlight item in dropdown
+   * Set the due date from a shortcut (null clears it)
    */
-  highlightItem(items, index) {
-    items.forEach((item, i) => {
-      item.classList.toggle('asana-autocomplete-highlighted', i === index);
-    });
-    if (items[index]) {
-      items[index].scrollIntoView({ block: 'nearest' });
+  applyDueDateShortcut(shortcut) {
+    const dueDateInput = this.modal.querySelector('#asana-due-date');
+
+    if (shortcut && DUE_DATE_SHORTCUTS[shortcut]) {
+      const date = new Date();
+      date.setDate(date.getDate() + DUE_DATE_SHORTCUTS[shortcut](new Date()));
+      dueDateInput.value = this.formatLocalDate(date);
+    } else {
+      dueDateInput.value = '';
+      shortcut = null;
     }
+
+    this.markDueDateShortcut(shortcut);
   },
 
   /**
-   * Switch between create and comment modes
+   * Highlight the active shortcut button
    */
-  switchMode(mode) {
-    this.mode = mode;
-
-    // Update button states
-    this.modal.querySelectorAll('.asana-mode-btn').forEach(btn => {
-      btn.classList.toggle('asana-mode-active', btn.dataset.mode === mode);
+  markDueDateShortcut(shortcut) {
+    this.modal.querySelectorAll('.asana-date-shortcut').forEach(btn => {
+      btn.classList.toggle('asana-date-shortcut-active', btn.dataset.shortcut === shortcut);
     });
+  },
 
-    // Show/hide sections
-    const createSection = this.modal.querySelector('#asana-create-section');
-    const commentSection = this.modal.querySelector('#asana-comment-section');
-    const createBtn = this.modal.querySelector('#asana-create');
-
-    // Fields only relevant for create mode
-    const projectRow = this.modal.querySelector('#asana-project-autocomplete')?.closest('.asana-form-row');
-    const assigneeRow = this.modal.querySelector('#asana-assignee')?.closest('.asana-form-row');
-    const tagsGroup = this.modal.querySelector('#asana-tags-autocomplete')?.closest('.asana-form-group');
-    const customFieldsSection = this.modal.querySelector('#asana-custom-fields-section');
+  /**
+   * Remember a shortcut as the default of the selected projects
+   */
+  saveDueDateShortcut(shortcut) {
+    if (this.selectedProjects.length === 0) return;
 
-    if (mode === 'create') {
-      createSection.style.display = '';
-      commentSection.style.display = 'none';
-      createBtn.textContent = this.t('createTask');
-      // Show create-only fields
-      if (projectRow) projectRow.style.display = '';
-      if (assigneeRow) assigneeRow.style.display = '';
-      if (tagsGroup) tagsGroup.style.display = '';
-      if (customFieldsSection && this.customFields.length > 0) customFieldsSection.style.display = '';
-    } else {
-      createSection.style.display = 'none';
-      commentSection.style.display = '';
-      createBtn.textContent = this.t('addComment');
-      // Hide create-only fields (not needed for adding comments)
-      if (projectRow) projectRow.style.display = 'none';
-      if (assigneeRow) assigneeRow.style.display = 'none';
-      if (tagsGroup) tagsGroup.style.display = 'none';
-      if (customFieldsSection) customFieldsSection.style.display = 'none';
+    const dueDateShortcutsByProject = { ...(this.preferences.dueDateShortcutsByProject || {}) };
+    for (const project of this.selectedProjects) {
+      dueDateShortcutsByProject[project.gid] = shortcut;
     }
+    this.savePreferences({ dueDateShortcutsByProject });
   },
 
   /**
-   * Setup task search autocomplete for comment mode
+   * Format a date as YYYY-MM-DD in local time (toISOString would use UTC)
    */
-  setupTaskSearchAutocomplete() {
-    const input = this.modal.querySelector('#asana-task-search-input');
-    const dropdown = this.modal.querySelector('#asana-task-search-dropdown');
-    const container = this.modal.querySelector('#asana-task-search-autocomplete');
+  formatLocalDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Setup followers autocomplete (multi-select over workspace users)
+   */
+  setupFollowersAutocomplete() {
+    const input = this.modal.querySelector('#asana-followers-input');
+    const dropdown = this.modal.querySelector('#asana-followers-dropdown');
+    const container = this.modal.querySelector('#asana-followers-autocomplete');
 
-    let searchTimeout = null;
     let highlightedIndex = -1;
 
     input.addEventListener('input', () => {
-      const query = input.value.trim();
-
-      // Debounce search
-      clearTimeout(searchTimeout);
-      searchTimeout = setTimeout(async () => {
-        if (query.length < 2) {
-          dropdown.innerHTML = '';
-          container.classList.remove('asana-autocomplete-open');
-          return;
-        }
-
-        const workspaceId = this.modal.querySelector('#asana-workspace').value;
-        if (!workspaceId) return;
-
-        try {
-          const tasks = await chrome.runtime.sendMessage({
-            type: 'SEARCH_TASKS',
-            workspaceId,
-            query,
-          });
-
-          this.renderTaskSearchDropdown(tasks, query);
-          container.classList.add('asana-autocomplete-open');
-          highlightedIndex = -1;
-        } catch (error) {
-          console.error('Task search error:', error);
-        }
-      }, 300);
+      const query = input.value.toLowerCase();
+      const filtered = this.getAvailableFollowers().filter(u =>
+        u.name.toLowerCase().includes(query) || u.email?.toLowerCase().includes(query)
+      );
+      this.renderFollowersDropdown(filtered, query);
+      highlightedIndex = -1;
     });
 
     input.addEventListener('focus', () => {
-      if (input.value.length >= 2) {
-        container.classList.add('asana-autocomplete-open');
-      }
+      container.classList.add('asana-autocomplete-open');
+      this.renderFollowersDropdown(this.getAvailableFollowers(), '');
     });
 
     input.addEventListener('keydown', (e) => {
@@ -966,11 +1300,14 @@ const ProjectSelector = {
       } else if (e.key === 'Enter' && highlightedIndex >= 0) {
         e.preventDefault();
         items[highlightedIndex]?.click();
+      } else if (e.key === 'Backspace' && input.value === '' && this.selectedFollowers.length > 0) {
+        this.removeFollower(this.selectedFollowers[this.selectedFollowers.length - 1]);
       } else if (e.key === 'Escape') {
         container.classList.remove('asana-autocomplete-open');
       }
     });
 
+    // Close dropdown when clicking outside
     document.addEventListener('click', (e) => {
       if (!container.contains(e.target)) {
         container.classList.remove('asana-autocomplete-open');
@@ -979,7 +1316,288 @@ const ProjectSelector = {
   },
 
   /**
-   * Render task search dropdown
+   * Users that can still be added as followers (the creator follows the task anyway)
+   */
+  getAvailableFollowers() {
+    return this.users.filter(u =>
+      u.gid !== this.user.gid && !this.selectedFollowers.find(f => f.gid === u.gid)
+    );
+  },
+
+  /**
+   * Render followers dropdown items
+   */
+  renderFollowersDropdown(users, query) {
+    const dropdown = this.modal.querySelector('#asana-followers-dropdown');
+
+    if (users.length === 0) {
+      dropdown.innerHTML = `<div class="asana-autocomplete-empty">${this.t('noUsersFound')}</div>`;
+      return;
+    }
+
+    dropdown.innerHTML = users.map(u => `
+      <div class="asana-autocomplete-item" data-id="${u.gid}">
+        ${this.highlightMatch(u.name, query)}
+        ${u.email ? `<span class="asana-text-muted">${this.highlightMatch(u.email, query)}</span>` : ''}
+      </div>
+    `).join('');
+
+    // Add click handlers
+    dropdown.querySelectorAll('.asana-autocomplete-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const user = this.users.find(u => u.gid === item.dataset.id);
+        if (user) {
+          this.addFollower(user);
+
+          const input = this.modal.querySelector('#asana-followers-input');
+          input.value = '';
+          input.focus();
+          this.renderFollowersDropdown(this.getAvailableFollowers(), '');
+        }
+      });
+    });
+  },
+
+  /**
+   * Add a follower
+   */
+  addFollower(user) {
+    if (this.selectedFollowers.find(f => f.gid === user.gid)) return;
+
+    this.removedFollowerIds.delete(user.gid);
+    this.selectedFollowers.push(user);
+    this.renderSelectedFollowers();
+  },
+
+  /**
+   * Remove a follower
+   */
+  removeFollower(user) {
+    this.selectedFollowers = this.selectedFollowers.filter(f => f.gid !== user.gid);
+    this.removedFollowerIds.add(user.gid);
+    this.renderSelectedFollowers();
+
+    // Update dropdown if open
+    const container = this.modal.querySelector('#asana-followers-autocomplete');
+    if (container.classList.contains('asana-autocomplete-open')) {
+      this.renderFollowersDropdown(this.getAvailableFollowers(), '');
+    }
+  },
+
+  /**
+   * Render selected followers
+   */
+  renderSelectedFollowers() {
+    const container = this.modal.querySelector('#asana-followers-selected');
+
+    container.innerHTML = this.selectedFollowers.map(user => `
+      <span class="asana-selected-tag" data-id="${user.gid}" title="${this.escapeHtml(user.email || '')}">
+        ${this.escapeHtml(user.name)}
+        <span class="asana-tag-remove">&times;</span>
+      </span>
+    `).join('');
+
+    // Add remove handlers
+    container.querySelectorAll('.asana-selected-tag').forEach(el => {
+      el.querySelector('.asana-tag-remove').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const user = this.selectedFollowers.find(f => f.gid === el.dataset.id);
+        if (user) this.removeFollower(user);
+      });
+    });
+  },
+
+  /**
+   * Email participants other than the signed-in Gmail account
+   */
+  getParticipants() {
+    const ownAddress = window.EmailExtractor.getAccountEmail()?.toLowerCase();
+    return (this.emailData.recipients || []).filter(r => r.email && r.email.toLowerCase() !== ownAddress);
+  },
+
+  /**
+   * Pre-select the participants that have an Asana account in the workspace
+   * Called as user pages arrive; participants removed by the user stay removed
+   */
+  matchFollowers() {
+    const usersByEmail = new Map(
+      this.users.filter(u => u.email).map(u => [u.email.toLowerCase(), u])
+    );
+
+    for (const participant of this.getParticipants()) {
+      const user = usersByEmail.get(participant.email.toLowerCase());
+      if (user && user.gid !== this.user.gid && !this.removedFollowerIds.has(user.gid)) {
+        this.addFollower(user);
+      }
+    }
+  },
+
+  /**
+   * List the participants without an Asana account in the workspace (they won't follow the task)
+   */
+  renderUnmatchedParticipants() {
+    const container = this.modal.querySelector('#asana-unmatched-participants');
+    const emails = new Set(this.users.filter(u => u.email).map(u => u.email.toLowerCase()));
+    const unmatched = this.getParticipants().filter(p => !emails.has(p.email.toLowerCase()));
+
+    container.innerHTML = unmatched.length > 0
+      ? `${this.t('unmatchedParticipants')} ${unmatched.map(p => `<span title="${this.escapeHtml(p.name || '')}">${this.escapeHtml(p.email)}</span>`).join(', ')}`
+      : '';
+  },
+
+  /**
+   * Highlight matching text in autocomplete
+   */
+  highlightMatch(text, query) {
+    if (!query) return this.escapeHtml(text);
+
+    const escaped = this.escapeHtml(text);
+    const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    return escaped.replace(regex, '<strong>$1</strong>');
+  },
+
+  /**
+   * Highlight item in dropdown
+   */
+  highlightItem(items, index) {
+    items.forEach((item, i) => {
+      item.classList.toggle('asana-autocomplete-highlighted', i === index);
+    });
+    if (items[index]) {
+      items[index].scrollIntoView({ block: 'nearest' });
+    }
+  },
+
+  /**
+   * Switch between create and comment modes
+   */
+  switchMode(mode) {
+    this.mode = mode;
+
+    // Update button states
+    this.modal.querySelectorAll('.asana-mode-btn').forEach(btn => {
+      btn.classList.toggle('asana-mode-active', btn.dataset.mode === mode);
+    });
+
+    // Show/hide sections
+    const createSection = this.modal.querySelector('#asana-create-section');
+    const commentSection = this.modal.querySelector('#asana-comment-section');
+    const createBtn = this.modal.querySelector('#asana-create');
+
+    // Fields only relevant for create mode
+    const projectRow = this.modal.querySelector('#asana-project-autocomplete')?.closest('.asana-form-row');
+    const assigneeRow = this.modal.querySelector('#asana-assignee')?.closest('.asana-form-row');
+    const dueGroup = this.modal.querySelector('#asana-due-group');
+    const tagsGroup = this.modal.querySelector('#asana-tags-autocomplete')?.closest('.asana-form-group');
+    const followersGroup = this.modal.querySelector('#asana-followers-autocomplete')?.closest('.asana-form-group');
+    const customFieldsSection = this.modal.querySelector('#asana-custom-fields-section');
+    const sectionGroup = this.modal.querySelector('#asana-section-group');
+    const subtasksSection = this.modal.querySelector('#asana-subtasks-section');
+
+    if (mode === 'create') {
+      createSection.style.display = '';
+      commentSection.style.display = 'none';
+      createBtn.textContent = this.t('createTask');
+      // Show create-only fields
+      if (projectRow) projectRow.style.display = '';
+      if (assigneeRow) assigneeRow.style.display = '';
+      if (dueGroup) dueGroup.style.display = '';
+      if (tagsGroup) tagsGroup.style.display = '';
+      if (followersGroup) followersGroup.style.display = '';
+      if (customFieldsSection && this.customFields.length > 0) customFieldsSection.style.display = '';
+      this.renderSections();
+      subtasksSection.style.display = '';
+    } else {
+      createSection.style.display = 'none';
+      commentSection.style.display = '';
+      createBtn.textContent = this.t('addComment');
+      // Hide create-only fields (not needed for adding comments)
+      if (projectRow) projectRow.style.display = 'none';
+      if (assigneeRow) assigneeRow.style.display = 'none';
+      if (dueGroup) dueGroup.style.display = 'none';
+      if (tagsGroup) tagsGroup.style.display = 'none';
+      if (followersGroup) followersGroup.style.display = 'none';
+      if (customFieldsSection) customFieldsSection.style.display = 'none';
+      sectionGroup.style.display = 'none';
+      subtasksSection.style.display = 'none';
+    }
+  },
+
+  /**
+   * Setup task search autocomplete for comment mode
+   */
+  setupTaskSearchAutocomplete() {
+    const input = this.modal.querySelector('#asana-task-search-input');
+    const dropdown = this.modal.querySelector('#asana-task-search-dropdown');
+    const container = this.modal.querySelector('#asana-task-search-autocomplete');
+
+    let searchTimeout = null;
+    let highlightedIndex = -1;
+
+    input.addEventListener('input', () => {
+      const query = input.value.trim();
+
+      // Debounce search
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(async () => {
+        if (query.length < 2) {
+          dropdown.innerHTML = '';
+          container.classList.remove('asana-autocomplete-open');
+          return;
+        }
+
+        const workspaceId = this.modal.querySelector('#asana-workspace').value;
+        if (!workspaceId) return;
+
+        try {
+          const tasks = await chrome.runtime.sendMessage({
+            type: 'SEARCH_TASKS',
+            workspaceId,
+            query,
+          });
+
+          this.renderTaskSearchDropdown(tasks, query);
+          container.classList.add('asana-autocomplete-open');
+          highlightedIndex = -1;
+        } catch (error) {
+          console.error('Task search error:', error);
+        }
+      }, 300);
+    });
+
+    input.addEventListener('focus', () => {
+      if (input.value.length >= 2) {
+        container.classList.add('asana-autocomplete-open');
+      }
+    });
+
+    input.addEventListener('keydown', (e) => {
+      const items = dropdown.querySelectorAll('.asana-autocomplete-item');
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        highlightedIndex = Math.min(highlightedIndex + 1, items.length - 1);
+        this.highlightItem(items, highlightedIndex);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        highlightedIndex = Math.max(highlightedIndex - 1, 0);
+        this.highlightItem(items, highlightedIndex);
+      } else if (e.key === 'Enter' && highlightedIndex >= 0) {
+        e.preventDefault();
+        items[highlightedIndex]?.click();
+      } else if (e.key === 'Escape') {
+        container.classList.remove('asana-autocomplete-open');
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!container.contains(e.target)) {
+        container.classList.remove('asana-autocomplete-open');
+      }
+    });
+  },
+
+  /**
+   * Render task search dropdown
    */
   renderTaskSearchDropdown(tasks, query) {
     const dropdown = this.modal.querySelector('#asana-task-search-dropdown');
@@ -1012,126 +1630,780 @@ const ProjectSelector = {
    */
   selectExistingTask(task) {
     this.selectedExistingTask = task;
+    this.taskPanel = null;
 
     const input = this.modal.querySelector('#asana-task-search-input');
     const container = this.modal.querySelector('#asana-task-search-autocomplete');
     const preview = this.modal.querySelector('#asana-selected-task-preview');
 
-    input.value = task.name;
-    container.classList.remove('asana-autocomplete-open');
+    input.value = task.name;
+    container.classList.remove('asana-autocomplete-open');
+
+    // Show task preview
+    preview.style.display = 'block';
+    preview.innerHTML = `
+      <div class="asana-selected-task-header">
+        <span class="asana-task-check">${task.completed ? '✓' : '○'}</span>
+        <strong>${this.escapeHtml(task.name)}</strong>
+        <button type="button" class="asana-task-clear">&times;</button>
+      </div>
+      ${task.projects?.length ? `<div class="asana-task-project">📁 ${task.projects.map(p => this.escapeHtml(p.name)).join(', ')}</div>` : ''}
+      ${task.assignee ? `<div class="asana-task-assignee-info">👤 ${this.escapeHtml(task.assignee.name)}</div>` : ''}
+      <div class="asana-task-panel" id="asana-task-panel">
+        <span class="asana-text-muted">${this.t('loading')}</span>
+      </div>
+    `;
+
+    // Clear button
+    preview.querySelector('.asana-task-clear').addEventListener('click', () => {
+      this.selectedExistingTask = null;
+      this.taskPanel = null;
+      input.value = '';
+      preview.style.display = 'none';
+    });
+
+    this.loadTaskPanel(task);
+  },
+
+  /**
+   * Fetch the selected task's current state into the task panel,
+   * where it can be edited and saved along with the comment
+   */
+  async loadTaskPanel(task) {
+    try {
+      const current = await chrome.runtime.sendMessage({ type: 'GET_TASK', taskId: task.gid });
+      if (current.error) {
+        throw this.toError(current);
+      }
+      if (!this.modal || this.selectedExistingTask !== task) return;
+
+      this.taskPanel = { task: current, values: this.getTaskPanelValues(current) };
+      this.renderTaskPanel();
+    } catch (error) {
+      if (!this.modal || this.selectedExistingTask !== task) return;
+      this.modal.querySelector('#asana-task-panel').innerHTML =
+        `<span class="asana-text-muted">${this.t('errorLoadTask')} ${this.escapeHtml(error.message)}</span>`;
+    }
+  },
+
+  /**
+   * Editable values of a task, as the task panel inputs hold them
+   */
+  getTaskPanelValues(task) {
+    return {
+      name: task.name,
+      completed: !!task.completed,
+      assignee: task.assignee?.gid || '',
+      dueDate: task.due_on || (task.due_at ? this.formatLocalDate(new Date(task.due_at)) : ''),
+    };
+  },
+
+  /**
+   * Render the task panel: name, assignee, due date and completion of the selected task
+   */
+  renderTaskPanel() {
+    const panel = this.modal.querySelector('#asana-task-panel');
+    const { values } = this.taskPanel;
+
+    panel.innerHTML = `
+      <div class="asana-form-group">
+        <label class="asana-label" for="asana-task-panel-name">${this.t('taskName')}</label>
+        <input type="text" id="asana-task-panel-name" class="asana-input">
+      </div>
+      <div class="asana-form-row">
+        <div class="asana-form-group asana-form-half">
+          <label class="asana-label" for="asana-task-panel-assignee">${this.t('assignee')}</label>
+          <select id="asana-task-panel-assignee" class="asana-select"></select>
+        </div>
+        <div class="asana-form-group asana-form-half">
+          <label class="asana-label" for="asana-task-panel-due">${this.t('dueDate')}</label>
+          <input type="date" id="asana-task-panel-due" class="asana-input">
+        </div>
+      </div>
+      <label class="asana-checkbox-label">
+        <input type="checkbox" id="asana-task-panel-completed">
+        <span>${this.t('markComplete')}</span>
+      </label>
+    `;
+
+    const nameInput = panel.querySelector('#asana-task-panel-name');
+    const dueInput = panel.querySelector('#asana-task-panel-due');
+    const completedInput = panel.querySelector('#asana-task-panel-completed');
+
+    nameInput.value = values.name;
+    dueInput.value = values.dueDate;
+    completedInput.checked = values.completed;
+    this.renderTaskPanelAssignee();
+
+    // Edits go to the current values: they are replaced once the task has been updated
+    nameInput.addEventListener('input', () => { this.taskPanel.values.name = nameInput.value; });
+    dueInput.addEventListener('change', () => { this.taskPanel.values.dueDate = dueInput.value; });
+    completedInput.addEventListener('change', () => { this.taskPanel.values.completed = completedInput.checked; });
+    panel.querySelector('#asana-task-panel-assignee').addEventListener('change', e => {
+      this.taskPanel.values.assignee = e.target.value;
+    });
+  },
+
+  /**
+   * Fill the task panel's assignee select (again once workspace users have loaded)
+   */
+  renderTaskPanelAssignee() {
+    const select = this.modal.querySelector('#asana-task-panel-assignee');
+    if (!select || !this.taskPanel) return;
+
+    // The current assignee may not be among the loaded users (yet)
+    const { assignee } = this.taskPanel.task;
+    const missing = assignee && assignee.gid !== this.user.gid && !this.users.some(u => u.gid === assignee.gid);
+
+    select.innerHTML = this.getAssigneeOptionsHtml() +
+      (missing ? `<option value="${assignee.gid}">${this.escapeHtml(assignee.name)}</option>` : '');
+    select.value = this.taskPanel.values.assignee;
+  },
+
+  /**
+   * Edits made in the task panel, in updateTask's shape (empty when nothing changed)
+   */
+  getTaskPanelChanges() {
+    if (!this.taskPanel) return {};
+
+    const original = this.getTaskPanelValues(this.taskPanel.task);
+    const { values } = this.taskPanel;
+    const changes = {};
+
+    if (values.name.trim() && values.name.trim() !== original.name) changes.name = values.name.trim();
+    if (values.completed !== original.completed) changes.completed = values.completed;
+    if (values.assignee !== original.assignee) changes.assignee = values.assignee || null;
+    if (values.dueDate !== original.dueDate) changes.dueDate = values.dueDate || null;
+
+    return changes;
+  },
+
+  /**
+   * Setup the "split into subtasks" panel
+   */
+  setupSubtasks() {
+    const toggle = this.modal.querySelector('#asana-split-subtasks');
+    const panel = this.modal.querySelector('#asana-subtasks-panel');
+
+    toggle.addEventListener('change', () => {
+      panel.style.display = toggle.checked ? '' : 'none';
+
+      // Pre-fill from the email the first time the panel is opened
+      if (toggle.checked && this.subtasks.length === 0) {
+        this.subtasks = this.detectSubtasks();
+        this.renderSubtasks();
+      }
+    });
+
+    this.modal.querySelector('#asana-detect-subtasks').addEventListener('click', () => {
+      this.subtasks = this.detectSubtasks();
+      this.renderSubtasks();
+    });
+
+    this.modal.querySelector('#asana-add-subtask').addEventListener('click', () => {
+      this.subtasks.push({ name: '', checked: true, assignee: '', dueDate: '' });
+      this.renderSubtasks();
+      const names = this.modal.querySelectorAll('.asana-subtask-name');
+      names[names.length - 1]?.focus();
+    });
+  },
+
+  /**
+   * Find subtask candidates in the editor content
+   * List items and lines starting with a bullet or number are ticked; other lines are offered unticked
+   */
+  detectSubtasks() {
+    if (!this.editor) return [];
+
+    const subtasks = [];
+    const seen = new Set();
+
+    const add = (text, checked) => {
+      const name = text.replace(/\s+/g, ' ').trim();
+      if (!name || name.length > 250 || seen.has(name)) return;
+      seen.add(name);
+      subtasks.push({ name, checked, assignee: '', dueDate: '' });
+    };
+
+    const isList = node => node.type === 'bulletList' || node.type === 'orderedList';
+
+    const textOf = node => (node.content || []).map(child => {
+      if (child.type === 'text') return child.text;
+      if (child.type === 'hardBreak') return '\n';
+      return textOf(child);
+    }).join('');
+
+    const walk = node => {
+      if (node.type === 'listItem') {
+        // Nested lists become subtasks of their own
+        const children = node.content || [];
+        add(children.filter(child => !isList(child)).map(textOf).join(' '), true);
+        children.filter(isList).forEach(walk);
+      } else if (node.type === 'paragraph') {
+        textOf(node).split('\n').forEach(line => {
+          const match = line.match(LIST_LINE_PATTERN);
+          add(match ? match[1] : line, Boolean(match));
+        });
+      } else {
+        (node.content || []).forEach(walk);
+      }
+    };
+
+    walk(this.editor.getJSON());
+    return subtasks;
+  },
+
+  /**
+   * Render the subtask rows (tick, name, assignee, due date)
+   */
+  renderSubtasks() {
+    const container = this.modal.querySelector('#asana-subtasks-list');
+
+    if (this.subtasks.length === 0) {
+      container.innerHTML = `<div class="asana-subtasks-empty">${this.t('noSubtasksFound')}</div>`;
+      return;
+    }
+
+    container.innerHTML = this.subtasks.map((subtask, index) => `
+      <div class="asana-subtask-row" data-index="${index}">
+        <input type="checkbox" class="asana-subtask-check" ${subtask.checked ? 'checked' : ''}>
+        <input type="text" class="asana-input asana-subtask-name" placeholder="${this.t('subtaskName')}">
+        <select class="asana-select asana-subtask-assignee">${this.getAssigneeOptionsHtml()}</select>
+        <input type="date" class="asana-input asana-subtask-due">
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.asana-subtask-row').forEach(row => {
+      const subtask = this.subtasks[row.dataset.index];
+      const check = row.querySelector('.asana-subtask-check');
+      const name = row.querySelector('.asana-subtask-name');
+      const assignee = row.querySelector('.asana-subtask-assignee');
+      const due = row.querySelector('.asana-subtask-due');
+
+      // Set values through the DOM so names containing quotes survive
+      name.value = subtask.name;
+      assignee.value = subtask.assignee;
+      due.value = subtask.dueDate;
+
+      check.addEventListener('change', () => { subtask.checked = check.checked; });
+      name.addEventListener('input', () => { subtask.name = name.value; });
+      assignee.addEventListener('change', () => { subtask.assignee = assignee.value; });
+      due.addEventListener('change', () => { subtask.dueDate = due.value; });
+    });
+  },
+
+  /**
+   * Load custom fields for a project
+   */
+  async loadCustomFields(projectId) {
+    try {
+      const fields = await chrome.runtime.sendMessage({
+        type: 'GET_PROJECT_CUSTOM_FIELDS',
+        projectId,
+      });
+      if (fields.error) {
+        throw this.toError(fields);
+      }
+
+      // The project may have been removed while its fields were loading
+      if (!this.modal || !this.selectedProjects.find(p => p.gid === projectId)) return;
+
+      this.projectCustomFields[projectId] = fields;
+      this.prefillCustomFields(projectId, fields);
+      this.mergeCustomFields();
+
+    } catch (error) {
+      console.error('Error loading custom fields:', error);
+    }
+  },
+
+  /**
+   * Rebuild the custom fields list from all selected projects
+   * A field shared by several projects is shown once; values of fields that are gone are dropped
+   */
+  mergeCustomFields() {
+    const section = this.modal.querySelector('#asana-custom-fields-section');
+    const fields = new Map();
+
+    for (const project of this.selectedProjects) {
+      for (const field of this.projectCustomFields[project.gid] || []) {
+        if (!fields.has(field.gid)) fields.set(field.gid, field);
+      }
+    }
+
+    this.customFields = [...fields.values()];
+    for (const fieldId of Object.keys(this.customFieldValues)) {
+      if (!fields.has(fieldId)) delete this.customFieldValues[fieldId];
+    }
+
+    if (this.customFields.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = '';
+    this.renderCustomFields();
+  },
+
+  /**
+   * Render custom fields inputs
+   */
+  renderCustomFields() {
+    const container = this.modal.querySelector('#asana-custom-fields-container');
+
+    container.innerHTML = this.customFields.map(field => {
+      const control = this.renderCustomFieldControl(field);
+      if (!control) return ''; // Skip unsupported field types
+
+      return `
+        <div class="asana-custom-field" data-field-id="${field.gid}">
+          <label class="asana-cf-label" for="asana-cf-${field.gid}">
+            ${this.escapeHtml(field.name)}${field.required ? ' <span class="asana-cf-required">*</span>' : ''}
+            <button type="button" class="asana-cf-config" data-field-id="${field.gid}" title="${this.t('autoFillRules')}">⚙</button>
+          </label>
+          ${control}
+        </div>
+      `;
+    }).join('');
+
+    // Add change listeners to capture values (restoring values entered before a re-render)
+    container.querySelectorAll('.asana-cf-input').forEach(input => {
+      if (this.customFieldValues[input.dataset.fieldId] !== undefined) {
+        input.value = this.customFieldValues[input.dataset.fieldId];
+      }
+      input.addEventListener('change', () => {
+        this.setCustomFieldValue(input.dataset.fieldId, input.value);
+      });
+    });
+
+    // Multi-enum: toggle option chips
+    container.querySelectorAll('.asana-cf-chips[data-field-id]').forEach(chips => {
+      const fieldId = chips.dataset.fieldId;
+      chips.querySelectorAll('.asana-cf-chip').forEach(chip => {
+        chip.classList.toggle('asana-cf-chip-selected', (this.customFieldValues[fieldId] || []).includes(chip.dataset.optionId));
+        chip.addEventListener('click', () => {
+          const values = this.customFieldValues[fieldId] || [];
+          const selected = !values.includes(chip.dataset.optionId);
+          chip.classList.toggle('asana-cf-chip-selected', selected);
+          this.setCustomFieldValue(fieldId, selected
+            ? [...values, chip.dataset.optionId]
+            : values.filter(id => id !== chip.dataset.optionId));
+        });
+      });
+    });
+
+    // Auto-fill rules editor
+    container.querySelectorAll('.asana-cf-config').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.toggleFieldMappingEditor(btn.dataset.fieldId);
+      });
+    });
+
+    // People: pick users from a select, show them as removable chips
+    container.querySelectorAll('.asana-cf-people-select').forEach(select => {
+      const fieldId = select.dataset.fieldId;
+      this.renderCustomFieldPeople(fieldId);
+      select.addEventListener('change', () => {
+        const values = this.customFieldValues[fieldId] || [];
+        if (select.value && !values.includes(select.value)) {
+          this.setCustomFieldValue(fieldId, [...values, select.value]);
+          this.renderCustomFieldPeople(fieldId);
+        }
+        select.value = '';
+      });
+    });
+  },
+
+  /**
+   * Build the input for one custom field, by type
+   * @returns {string} HTML, or '' for unsupported types
+   */
+  renderCustomFieldControl(field) {
+    const fieldId = `asana-cf-${field.gid}`;
+    // Disabled options can't be set through the API
+    const enumOptions = field.enumOptions.filter(opt => opt.enabled !== false);
+
+    switch (field.type) {
+      case 'text':
+        return `<input type="text" id="${fieldId}" class="asana-input asana-cf-input" data-field-id="${field.gid}">`;
+
+      case 'number': {
+        const { prefix, suffix } = this.getNumberAffixes(field);
+        const step = field.precision > 0 ? (1 / 10 ** field.precision).toFixed(field.precision) : '1';
+        return `
+          <div class="asana-cf-number">
+            ${prefix ? `<span class="asana-cf-affix">${this.escapeHtml(prefix)}</span>` : ''}
+            <input type="number" id="${fieldId}" class="asana-input asana-cf-input" data-field-id="${field.gid}" step="${step}">
+            ${suffix ? `<span class="asana-cf-affix">${this.escapeHtml(suffix)}</span>` : ''}
+          </div>
+        `;
+      }
+
+      case 'enum':
+        return `
+          <select id="${fieldId}" class="asana-select asana-cf-input" data-field-id="${field.gid}">
+            <option value="">--</option>
+            ${enumOptions.map(opt => `
+              <option value="${opt.gid}" style="color: ${opt.color || 'inherit'}">${this.escapeHtml(opt.name)}</option>
+            `).join('')}
+          </select>
+        `;
+
+      case 'multi_enum':
+        return `
+          <div class="asana-cf-chips" id="${fieldId}" data-field-id="${field.gid}">
+            ${enumOptions.map(opt => `
+              <button type="button" class="asana-cf-chip" data-option-id="${opt.gid}" style="--tag-color: ${this.getTagColor(opt.color)}">${this.escapeHtml(opt.name)}</button>
+            `).join('')}
+          </div>
+        `;
+
+      case 'date':
+        return `<input type="date" id="${fieldId}" class="asana-input asana-cf-input" data-field-id="${field.gid}">`;
+
+      case 'people':
+        return `
+          <div class="asana-cf-chips asana-cf-people" data-people-field-id="${field.gid}"></div>
+          <select id="${fieldId}" class="asana-select asana-cf-people-select" data-field-id="${field.gid}">
+            <option value="">+ ${this.t('addPerson')}</option>
+            ${this.users.map(u => `<option value="${u.gid}">${this.escapeHtml(u.name)}</option>`).join('')}
+          </select>
+        `;
+
+      default:
+        return '';
+    }
+  },
+
+  /**
+   * Text shown around a number input: currency symbol, % or the field's custom label
+   */
+  getNumberAffixes(field) {
+    if (field.format === 'percentage') {
+      return { prefix: '', suffix: '%' };
+    }
+
+    if (field.format === 'currency' && field.currencyCode) {
+      try {
+        const parts = new Intl.NumberFormat(undefined, { style: 'currency', currency: field.currencyCode }).formatToParts(0);
+        return { prefix: parts.find(part => part.type === 'currency')?.value || field.currencyCode, suffix: '' };
+      } catch (e) {
+        return { prefix: field.currencyCode, suffix: '' };
+      }
+    }
+
+    if (field.format === 'custom' && field.customLabel) {
+      return field.customLabelPosition === 'prefix'
+        ? { prefix: field.customLabel, suffix: '' }
+        : { prefix: '', suffix: field.customLabel };
+    }
+
+    return { prefix: '', suffix: '' };
+  },
+
+  /**
+   * Render the chips of a people custom field
+   */
+  renderCustomFieldPeople(fieldId) {
+    const container = this.modal.querySelector(`[data-people-field-id="${fieldId}"]`);
+    const values = this.customFieldValues[fieldId] || [];
+
+    container.innerHTML = values.map(userId => {
+      const user = this.users.find(u => u.gid === userId) || (userId === this.user.gid ? this.user : null);
+      return `
+        <span class="asana-selected-tag" data-id="${userId}">
+          ${this.escapeHtml(user?.name || userId)}
+          <span class="asana-tag-remove">&times;</span>
+        </span>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.asana-selected-tag').forEach(el => {
+      el.querySelector('.asana-tag-remove').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setCustomFieldValue(fieldId, (this.customFieldValues[fieldId] || []).filter(id => id !== el.dataset.id));
+        this.renderCustomFieldPeople(fieldId);
+      });
+    });
+  },
+
+  /**
+   * Read one part of the email for custom field mappings
+   * @param {string} source - One of EMAIL_SOURCES
+   */
+  getEmailSourceValue(source) {
+    const { sender = '', subject = '', body = '' } = this.emailData;
+    const senderEmail = sender.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/)?.[0] || '';
+
+    switch (source) {
+      case 'senderDomain': return senderEmail.split('@')[1] || '';
+      case 'senderEmail': return senderEmail;
+      case 'senderName': return this.extractSenderName(sender);
+      case 'subject': return subject;
+      case 'body': return body;
+      default: return '';
+    }
+  },
+
+  /**
+   * Get the auto-fill rules of a project, by custom field gid
+   * Rule: { source, pattern, optionId } - pattern is an optional regex (first group is used when present),
+   * optionId picks a fixed enum option when the pattern matches
+   */
+  getFieldMappings(projectId) {
+    return this.preferences.customFieldMappings?.[projectId] || {};
+  },
+
+  /**
+   * Work out the value a rule gives a field, or undefined when it doesn't apply
+   */
+  evaluateFieldMapping(field, rule) {
+    const text = this.getEmailSourceValue(rule.source);
+    if (!text) return undefined;
+
+    let extracted = text.trim();
+    if (rule.pattern) {
+      let match;
+      try {
+        match = text.match(new RegExp(rule.pattern, 'i'));
+      } catch (e) {
+        return undefined; // Invalid pattern
+      }
+      if (!match) return undefined;
+      extracted = (match[1] ?? match[0]).trim();
+    }
+
+    // Enum fields: a fixed option, or the option named like the extracted text
+    const findOption = () => {
+      if (rule.optionId) return rule.optionId;
+      const name = extracted.toLowerCase();
+      return field.enumOptions.find(opt => opt.enabled !== false && opt.name.toLowerCase() === name)?.gid;
+    };
+
+    switch (field.type) {
+      case 'text':
+        return extracted || undefined;
+
+      case 'number': {
+        const number = parseFloat(extracted.replace(',', '.'));
+        return Number.isNaN(number) ? undefined : String(number);
+      }
+
+      case 'date': {
+        // new Date() reads "2026-03-05" as UTC midnight, the day before in negative-offset timezones
+        const isoDate = extracted.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = isoDate
+          ? new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]))
+          : new Date(extracted);
+        return Number.isNaN(date.getTime()) ? undefined : this.formatLocalDate(date);
+      }
+
+      case 'enum':
+        return findOption();
+
+      case 'multi_enum': {
+        const optionId = findOption();
+        return optionId ? [optionId] : undefined;
+      }
+
+      case 'people': {
+        const email = extracted.toLowerCase();
+        const user = this.users.find(u => u.email?.toLowerCase() === email);
+        return user ? [user.gid] : undefined;
+      }
+
+      default:
+        return undefined;
+    }
+  },
+
+  /**
+   * Fill empty custom fields of a project from its auto-fill rules (first matching rule wins)
+   */
+  prefillCustomFields(projectId, fields) {
+    const mappings = this.getFieldMappings(projectId);
+    const presetValues = this.activePresetActions?.customFields || {};
+
+    for (const field of fields) {
+      if (this.customFieldValues[field.gid] !== undefined) continue;
+
+      // Values set by a template or routing rule come first
+      if (presetValues[field.gid] !== undefined && presetValues[field.gid] !== '') {
+        this.customFieldValues[field.gid] = presetValues[field.gid];
+        continue;
+      }
+
+      for (const rule of mappings[field.gid] || []) {
+        const value = this.evaluateFieldMapping(field, rule);
+        if (value !== undefined) {
+          this.customFieldValues[field.gid] = value;
+          break;
+        }
+      }
+    }
+  },
+
+  /**
+   * Open or close the auto-fill rules editor of a custom field
+   */
+  toggleFieldMappingEditor(fieldId) {
+    const existing = this.modal.querySelector(`.asana-cf-rules[data-field-id="${fieldId}"]`);
+    if (existing) {
+      existing.remove();
+      return;
+    }
 
-    // Show task preview
-    preview.style.display = 'block';
-    preview.innerHTML = `
-      <div class="asana-selected-task-header">
-        <span class="asana-task-check">${task.completed ? '✓' : '○'}</span>
-        <strong>${this.escapeHtml(task.name)}</strong>
-        <button type="button" class="asana-task-clear">&times;</button>
+    const field = this.customFields.find(f => f.gid === fieldId);
+    const projectId = this.selectedProjects.find(p => this.projectCustomFields[p.gid]?.some(f => f.gid === fieldId))?.gid;
+    if (!field || !projectId) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'asana-cf-rules';
+    editor.dataset.fieldId = fieldId;
+    editor.innerHTML = `
+      <div class="asana-cf-rules-title">${this.t('autoFillRulesFor', [this.escapeHtml(field.name)])}</div>
+      <div class="asana-cf-rules-list"></div>
+      <div class="asana-cf-rules-actions">
+        <button type="button" class="asana-btn-add-subtask" data-action="add">+ ${this.t('addRule')}</button>
+        <button type="button" class="asana-btn-expand-all" data-action="save">${this.t('saveRules')}</button>
       </div>
-      ${task.projects?.length ? `<div class="asana-task-project">📁 ${task.projects.map(p => this.escapeHtml(p.name)).join(', ')}</div>` : ''}
-      ${task.assignee ? `<div class="asana-task-assignee-info">👤 ${this.escapeHtml(task.assignee.name)}</div>` : ''}
     `;
 
-    // Clear button
-    preview.querySelector('.asana-task-clear').addEventListener('click', () => {
-      this.selectedExistingTask = null;
-      input.value = '';
-      preview.style.display = 'none';
+    const list = editor.querySelector('.asana-cf-rules-list');
+    const hasOptions = field.type === 'enum' || field.type === 'multi_enum';
+
+    const addRow = (rule = { source: 'subject', pattern: '', optionId: '' }) => {
+      const row = document.createElement('div');
+      row.className = 'asana-cf-rule-row';
+      row.innerHTML = `
+        <select class="asana-select" data-role="source">
+          ${EMAIL_SOURCES.map(source => `<option value="${source}">${this.t(`source_${source}`)}</option>`).join('')}
+        </select>
+        <input type="text" class="asana-input" data-role="pattern" placeholder="${this.t('rulePattern')}">
+        ${hasOptions ? `
+          <select class="asana-select" data-role="option">
+            <option value="">${this.t('ruleMatchOptionName')}</option>
+            ${field.enumOptions.filter(opt => opt.enabled !== false).map(opt => `<option value="${opt.gid}">${this.escapeHtml(opt.name)}</option>`).join('')}
+          </select>
+        ` : ''}
+        <button type="button" class="asana-tag-remove" data-role="remove">&times;</button>
+      `;
+      row.querySelector('[data-role="source"]').value = rule.source;
+      row.querySelector('[data-role="pattern"]').value = rule.pattern || '';
+      if (hasOptions) row.querySelector('[data-role="option"]').value = rule.optionId || '';
+      row.querySelector('[data-role="remove"]').addEventListener('click', () => row.remove());
+      list.appendChild(row);
+    };
+
+    const rules = this.getFieldMappings(projectId)[fieldId] || [];
+    rules.forEach(rule => addRow(rule));
+    if (rules.length === 0) addRow();
+
+    editor.querySelector('[data-action="add"]').addEventListener('click', () => addRow());
+    editor.querySelector('[data-action="save"]').addEventListener('click', () => {
+      const newRules = [];
+      for (const row of list.querySelectorAll('.asana-cf-rule-row')) {
+        const rule = {
+          source: row.querySelector('[data-role="source"]').value,
+          pattern: row.querySelector('[data-role="pattern"]').value.trim(),
+          optionId: hasOptions ? row.querySelector('[data-role="option"]').value || null : null,
+        };
+        if (rule.pattern) {
+          try {
+            new RegExp(rule.pattern);
+          } catch (e) {
+            this.showStatus(this.t('errorInvalidPattern', [rule.pattern]), 'error');
+            return;
+          }
+        }
+        newRules.push(rule);
+      }
+
+      this.saveFieldMappings(fieldId, newRules);
+      editor.remove();
     });
+
+    // Span the whole grid row, right after the field
+    this.modal.querySelector(`.asana-custom-field[data-field-id="${fieldId}"]`).after(editor);
   },
 
   /**
-   * Load custom fields for a project
+   * Save the rules of a field for every selected project that has it, then apply them
    */
-  async loadCustomFields(projectId) {
-    const section = this.modal.querySelector('#asana-custom-fields-section');
-    const container = this.modal.querySelector('#asana-custom-fields-container');
+  saveFieldMappings(fieldId, rules) {
+    const customFieldMappings = { ...(this.preferences.customFieldMappings || {}) };
+
+    for (const project of this.selectedProjects) {
+      if (!this.projectCustomFields[project.gid]?.some(f => f.gid === fieldId)) continue;
+      customFieldMappings[project.gid] = {
+        ...(customFieldMappings[project.gid] || {}),
+        [fieldId]: rules,
+      };
+      this.prefillCustomFields(project.gid, this.projectCustomFields[project.gid].filter(f => f.gid === fieldId));
+    }
 
-    try {
-      this.customFields = await chrome.runtime.sendMessage({
-        type: 'GET_PROJECT_CUSTOM_FIELDS',
-        projectId,
-      });
+    this.savePreferences({ customFieldMappings });
+    this.renderCustomFields();
+  },
 
-      if (this.customFields.length === 0) {
-        section.style.display = 'none';
-        return;
-      }
+  /**
+   * Store a custom field value; empty strings and lists clear it
+   */
+  setCustomFieldValue(fieldId, value) {
+    const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+    if (isEmpty) {
+      delete this.customFieldValues[fieldId];
+    } else {
+      this.customFieldValues[fieldId] = value;
+    }
 
-      section.style.display = '';
-      this.customFieldValues = {};
-      this.renderCustomFields();
+    this.modal.querySelector(`.asana-custom-field[data-field-id="${fieldId}"]`)
+      ?.classList.toggle('asana-cf-missing', isEmpty && this.customFields.find(f => f.gid === fieldId)?.required);
+  },
 
-    } catch (error) {
-      console.error('Error loading custom fields:', error);
-      section.style.display = 'none';
-    }
+  /**
+   * Required custom fields that have no value yet
+   */
+  getMissingRequiredFields() {
+    // Fields of unsupported types aren't rendered, so they can't be filled in
+    return this.customFields.filter(field =>
+      field.required &&
+      this.customFieldValues[field.gid] === undefined &&
+      this.modal.querySelector(`.asana-custom-field[data-field-id="${field.gid}"]`)
+    );
   },
 
   /**
-   * Render custom fields inputs
+   * Convert the entered values to the shapes Asana expects for each field type
    */
-  renderCustomFields() {
-    const container = this.modal.querySelector('#asana-custom-fields-container');
+  buildCustomFieldsData() {
+    const customFieldsData = {};
 
-    container.innerHTML = this.customFields.map(field => {
-      const fieldId = `asana-cf-${field.gid}`;
+    for (const [fieldId, value] of Object.entries(this.customFieldValues)) {
+      const field = this.customFields.find(f => f.gid === fieldId);
+      if (!field) continue;
 
       switch (field.type) {
-        case 'text':
-          return `
-            <div class="asana-custom-field">
-              <label class="asana-cf-label" for="${fieldId}">${this.escapeHtml(field.name)}</label>
-              <input type="text" id="${fieldId}" class="asana-input asana-cf-input" data-field-id="${field.gid}">
-            </div>
-          `;
-
-        case 'number':
-          return `
-            <div class="asana-custom-field">
-              <label class="asana-cf-label" for="${fieldId}">${this.escapeHtml(field.name)}</label>
-              <input type="number" id="${fieldId}" class="asana-input asana-cf-input" data-field-id="${field.gid}">
-            </div>
-          `;
-
-        case 'enum':
-          return `
-            <div class="asana-custom-field">
-              <label class="asana-cf-label" for="${fieldId}">${this.escapeHtml(field.name)}</label>
-              <select id="${fieldId}" class="asana-select asana-cf-input" data-field-id="${field.gid}">
-                <option value="">--</option>
-                ${field.enumOptions.map(opt => `
-                  <option value="${opt.gid}" style="color: ${opt.color || 'inherit'}">${this.escapeHtml(opt.name)}</option>
-                `).join('')}
-              </select>
-            </div>
-          `;
+        case 'number': {
+          const number = parseFloat(value);
+          if (Number.isNaN(number)) break;
+          // Percentages are stored as fractions (50% = 0.5)
+          customFieldsData[fieldId] = field.format === 'percentage' ? number / 100 : number;
+          break;
+        }
 
         case 'date':
-          return `
-            <div class="asana-custom-field">
-              <label class="asana-cf-label" for="${fieldId}">${this.escapeHtml(field.name)}</label>
-              <input type="date" id="${fieldId}" class="asana-input asana-cf-input" data-field-id="${field.gid}">
-            </div>
-          `;
+          customFieldsData[fieldId] = { date: value }; // YYYY-MM-DD
+          break;
 
         default:
-          return ''; // Skip unsupported field types
+          // text: string, enum: option gid, multi_enum: option gids, people: user gids
+          customFieldsData[fieldId] = value;
       }
-    }).join('');
+    }
 
-    // Add change listeners to capture values
-    container.querySelectorAll('.asana-cf-input').forEach(input => {
-      input.addEventListener('change', () => {
-        const fieldId = input.dataset.fieldId;
-        const value = input.value;
-        if (value) {
-          this.customFieldValues[fieldId] = value;
-        } else {
-          delete this.customFieldValues[fieldId];
-        }
-      });
-    });
+    return customFieldsData;
   },
 
   /**
@@ -1139,16 +2411,24 @@ const ProjectSelector = {
    */
   async loadWorkspaces() {
     try {
-      this.workspaces = await chrome.runtime.sendMessage({ type: 'GET_WORKSPACES' });
+      const workspaces = await chrome.runtime.sendMessage({ type: 'GET_WORKSPACES' });
+      if (workspaces.error) {
+        throw this.toError(workspaces);
+      }
+      this.workspaces = workspaces;
 
       const select = this.modal.querySelector('#asana-workspace');
       select.innerHTML = `<option value="">${this.t('selectWorkspace')}</option>` +
         this.workspaces.map(ws => `<option value="${ws.gid}">${this.escapeHtml(ws.name)}</option>`).join('');
 
-      // Priority: default workspace > last used > auto-select if only one
-      const workspaceToSelect = this.preferences.defaultWorkspace || this.preferences.lastWorkspaceId;
+      // Priority: template or matching rule > default workspace > last used > auto-select if only one
+      const workspaceToSelect = [
+        this.getPresetActions()?.workspaceId,
+        this.preferences.defaultWorkspace,
+        this.preferences.lastWorkspaceId,
+      ].find(gid => gid && this.workspaces.find(w => w.gid === gid));
 
-      if (workspaceToSelect && this.workspaces.find(w => w.gid === workspaceToSelect)) {
+      if (workspaceToSelect) {
         select.value = workspaceToSelect;
         await this.onWorkspaceChange({ target: select }, true); // Pass flag to auto-select default project
       } else if (this.workspaces.length === 1) {
@@ -1170,17 +2450,32 @@ const ProjectSelector = {
     const projectInput = this.modal.querySelector('#asana-project-input');
     const assigneeSelect = this.modal.querySelector('#asana-assignee');
     const tagsInput = this.modal.querySelector('#asana-tags-input');
+    const followersInput = this.modal.querySelector('#asana-followers-input');
     const taskSearchInput = this.modal.querySelector('#asana-task-search-input');
 
+    // Ignore pages from a previous workspace if the user switches mid-load
+    const loadId = ++this.workspaceLoadId;
+    const isCurrent = () => this.modal && loadId === this.workspaceLoadId;
+
     // Reset selections
-    this.selectedProject = null;
+    this.selectedProjects = [];
     this.selectedTags = [];
+    this.selectedFollowers = [];
+    this.removedFollowerIds = new Set();
     this.selectedExistingTask = null;
+    this.taskPanel = null;
+    this.projectSections = {};
+    this.selectedSections = {};
+    this.projectCustomFields = {};
     this.customFields = [];
     this.customFieldValues = {};
+    this.renderSelectedProjects();
     this.renderSelectedTags();
+    this.renderSelectedFollowers();
+    this.modal.querySelector('#asana-unmatched-participants').innerHTML = '';
 
-    // Hide custom fields
+    // Hide sections and custom fields
+    this.renderSections();
     const cfSection = this.modal.querySelector('#asana-custom-fields-section');
     if (cfSection) cfSection.style.display = 'none';
 
@@ -1199,6 +2494,8 @@ const ProjectSelector = {
       assigneeSelect.disabled = true;
       tagsInput.placeholder = this.t('selectWorkspaceFirst');
       tagsInput.disabled = true;
+      followersInput.placeholder = this.t('selectWorkspaceFirst');
+      followersInput.disabled = true;
       if (taskSearchInput) {
         taskSearchInput.placeholder = this.t('selectWorkspaceFirst');
         taskSearchInput.disabled = true;
@@ -1214,48 +2511,73 @@ const ProjectSelector = {
     assigneeSelect.disabled = true;
     tagsInput.placeholder = this.t('loading');
     tagsInput.disabled = true;
+    followersInput.placeholder = this.t('loading');
+    followersInput.disabled = true;
+
+    this.projects = [];
+    this.users = [];
+    this.tags = [];
+
+    // Preset actions only apply in their own workspace (or any workspace if they don't set one)
+    const presetActions = this.getPresetActions();
+    this.activePresetActions = presetActions && (!presetActions.workspaceId || presetActions.workspaceId === workspaceId)
+      ? presetActions
+      : null;
+
+    // Auto-select the preset project, the default project or restore last used project
+    const projectToSelect = this.activePresetActions?.projectId ||
+      (autoSelectDefaults && this.preferences.defaultProject
+        ? this.preferences.defaultProject
+        : this.preferences.lastProjectId);
 
     try {
-      // Load projects, users, and tags in parallel
-      const [projects, users, tags] = await Promise.all([
-        chrome.runtime.sendMessage({ type: 'GET_PROJECTS', workspaceId }),
-        chrome.runtime.sendMessage({ type: 'GET_USERS', workspaceId }),
-        chrome.runtime.sendMessage({ type: 'GET_TAGS', workspaceId }),
+      // Stream projects, users, and tags in parallel, rendering each page as it arrives
+      await Promise.all([
+        this.streamCollection({ type: 'GET_PROJECTS', workspaceId }, projects => {
+          if (!isCurrent()) return;
+          this.projects = projects;
+
+          // Enable project autocomplete as soon as the first page is in
+          projectInput.placeholder = this.t('searchProjects', [projects.length.toString()]);
+          projectInput.disabled = false;
+
+          if (projectToSelect && this.selectedProjects.length === 0) {
+            const project = this.projects.find(p => p.gid === projectToSelect);
+            if (project) {
+              this.selectProject(project);
+            }
+          }
+        }),
+        this.streamCollection({ type: 'GET_USERS', workspaceId }, users => {
+          if (!isCurrent()) return;
+          this.users = users;
+          this.renderAssigneeOptions();
+          this.matchFollowers();
+          followersInput.placeholder = this.t('searchUsers');
+          followersInput.disabled = false;
+        }),
+        this.streamCollection({ type: 'GET_TAGS', workspaceId }, tags => {
+          if (!isCurrent()) return;
+          this.tags = tags;
+
+          // Enable tags autocomplete
+          tagsInput.placeholder = this.t('searchTags', [tags.length.toString()]);
+          tagsInput.disabled = false;
+        }),
       ]);
 
-      this.projects = projects;
-      this.users = users;
-      this.tags = tags;
+      if (!isCurrent()) return;
 
-      // Enable project autocomplete
-      projectInput.placeholder = this.t('searchProjects', [projects.length.toString()]);
+      // Make sure the controls are usable even when a collection came back empty
+      projectInput.placeholder = this.t('searchProjects', [this.projects.length.toString()]);
       projectInput.disabled = false;
-      this.modal.querySelector('#asana-project-autocomplete').classList.remove('asana-autocomplete-selected');
-
-      // Auto-select default project or restore last used project
-      const projectToSelect = autoSelectDefaults && this.preferences.defaultProject
-        ? this.preferences.defaultProject
-        : this.preferences.lastProjectId;
-
-      if (projectToSelect) {
-        const project = this.projects.find(p => p.gid === projectToSelect);
-        if (project) {
-          this.selectProject(project);
-        }
-      }
-
-      // Populate assignees
-      assigneeSelect.innerHTML = `<option value="">${this.t('unassigned')}</option>` +
-        `<option value="${this.user.gid}">${this.t('me')} (${this.escapeHtml(this.user.name)})</option>` +
-        this.users
-          .filter(u => u.gid !== this.user.gid)
-          .map(u => `<option value="${u.gid}">${this.escapeHtml(u.name)}</option>`)
-          .join('');
-      assigneeSelect.disabled = false;
-
-      // Enable tags autocomplete
-      tagsInput.placeholder = tags.length > 0 ? this.t('searchTags', [tags.length.toString()]) : this.t('noTagsAvailable');
-      tagsInput.disabled = tags.length === 0;
+      this.renderAssigneeOptions();
+      this.applyPresetSelections();
+      followersInput.placeholder = this.t('searchUsers');
+      followersInput.disabled = false;
+      this.renderUnmatchedParticipants();
+      tagsInput.placeholder = this.tags.length > 0 ? this.t('searchTags', [this.tags.length.toString()]) : this.t('noTagsAvailable');
+      tagsInput.disabled = this.tags.length === 0;
 
       // Enable task search for comment mode
       if (taskSearchInput) {
@@ -1267,8 +2589,170 @@ const ProjectSelector = {
       await this.savePreferences({ lastWorkspaceId: workspaceId });
 
     } catch (error) {
-      this.showStatus(`${this.t('errorLoadData')} ${error.message}`, 'error');
+      if (isCurrent()) {
+        this.showStatus(`${this.t('errorLoadData')} ${error.message}`, 'error');
+      }
+    }
+  },
+
+  /**
+   * Actions preset for this email: the selected template's, otherwise the matching rules'
+   */
+  getPresetActions() {
+    return this.selectedTemplate?.actions || this.ruleMatch?.actions || null;
+  },
+
+  /**
+   * Apply a task template (or go back to no template) and re-populate the form from it
+   */
+  async applyTemplate(templateId) {
+    this.selectedTemplate = (this.preferences.templates || []).find(t => t.id === templateId) || null;
+    const template = this.selectedTemplate;
+
+    this.modal.querySelector('#asana-task-name').value = template?.namePattern
+      ? this.fillTemplatePattern(template.namePattern)
+      : (this.emailData.subject || '');
+
+    const options = template?.options || {
+      includeBody: this.preferences.includeBody !== false,
+      attachEml: !!this.preferences.attachEml,
+      addLabel: this.preferences.addLabel !== false,
+    };
+    this.modal.querySelector('#asana-include-body').checked = !!options.includeBody;
+    this.modal.querySelector('#asana-add-label').checked = !!options.addLabel;
+    const attachEml = this.modal.querySelector('#asana-attach-eml');
+    if (!attachEml.disabled) attachEml.checked = !!options.attachEml;
+
+    // Reload the workspace so projects, section, assignee, tags and custom fields follow the template
+    const select = this.modal.querySelector('#asana-workspace');
+    const workspaceId = this.getPresetActions()?.workspaceId;
+    if (workspaceId && this.workspaces.find(w => w.gid === workspaceId)) {
+      select.value = workspaceId;
+    }
+    this.modal.querySelector('#asana-assignee').value = '';
+    await this.onWorkspaceChange({ target: select }, true);
+  },
+
+  /**
+   * Replace {subject}, {senderName}, {senderEmail}, {senderDomain} and {date} in a template text
+   * Unknown placeholders are left as they are
+   */
+  fillTemplatePattern(pattern) {
+    return pattern.replace(/\{(\w+)\}/g, (placeholder, key) => {
+      if (key === 'date') {
+        return this.emailData.date || this.formatLocalDate(new Date());
+      }
+      return EMAIL_SOURCES.includes(key) ? this.getEmailSourceValue(key) : placeholder;
+    });
+  },
+
+  /**
+   * Apply the assignee and tags of the template or matching rule once users and tags are loaded
+   */
+  applyPresetSelections() {
+    const actions = this.activePresetActions;
+    if (!actions) return;
+
+    const assigneeSelect = this.modal.querySelector('#asana-assignee');
+    if (actions.assigneeId && !assigneeSelect.value &&
+        assigneeSelect.querySelector(`option[value="${actions.assigneeId}"]`)) {
+      assigneeSelect.value = actions.assigneeId;
     }
+
+    for (const tagId of actions.tagIds || []) {
+      const tag = this.tags.find(t => t.gid === tagId);
+      if (tag && !this.selectedTags.find(t => t.gid === tagId)) {
+        this.selectedTags.push(tag);
+      }
+    }
+    this.renderSelectedTags();
+  },
+
+  /**
+   * Populate the assignee select from the loaded users, keeping the current choice
+   */
+  renderAssigneeOptions() {
+    const assigneeSelect = this.modal.querySelector('#asana-assignee');
+    const currentValue = assigneeSelect.value;
+
+    assigneeSelect.innerHTML = this.getAssigneeOptionsHtml();
+    assigneeSelect.value = currentValue;
+    assigneeSelect.disabled = false;
+
+    // Subtask rows offer the same people
+    this.modal.querySelectorAll('.asana-subtask-assignee').forEach(select => {
+      const value = select.value;
+      select.innerHTML = this.getAssigneeOptionsHtml();
+      select.value = value;
+    });
+
+    // And the task panel of comment mode
+    this.renderTaskPanelAssignee();
+
+    // So do people custom fields
+    this.modal.querySelectorAll('.asana-cf-people-select').forEach(select => {
+      select.innerHTML = `<option value="">+ ${this.t('addPerson')}</option>` +
+        this.users.map(u => `<option value="${u.gid}">${this.escapeHtml(u.name)}</option>`).join('');
+    });
+  },
+
+  /**
+   * Options for an assignee select: unassigned, me, then the workspace users
+   */
+  getAssigneeOptionsHtml() {
+    return `<option value="">${this.t('unassigned')}</option>` +
+      `<option value="${this.user.gid}">${this.t('me')} (${this.escapeHtml(this.user.name)})</option>` +
+      this.users
+        .filter(u => u.gid !== this.user.gid)
+        .map(u => `<option value="${u.gid}">${this.escapeHtml(u.name)}</option>`)
+        .join('');
+  },
+
+  /**
+   * Stream a paginated collection from the service worker
+   * Calls onPage with all items received so far after each page
+   * @param {object} message - Request message (e.g. { type: 'GET_PROJECTS', workspaceId })
+   * @param {Function} onPage - Progress callback
+   * @returns {Promise<Array>} Every item once the last page has arrived
+   */
+  streamCollection(message, onPage) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'ASANA_PAGES' });
+      const items = [];
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        port.disconnect();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(items);
+        }
+      };
+
+      port.onMessage.addListener(response => {
+        if (response.error) {
+          finish(this.toError(response));
+        } else if (response.done) {
+          finish();
+        } else if (response.page) {
+          items.push(...response.page);
+          if (onPage) onPage(items);
+        }
+      });
+
+      // Service worker went away before the last page
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          settled = true;
+          reject(new Error(chrome.runtime.lastError?.message || 'Connection lost'));
+        }
+      });
+
+      port.postMessage(message);
+    });
   },
 
   /**
@@ -1284,21 +2768,74 @@ const ProjectSelector = {
     const workspaceId = this.modal.querySelector('#asana-workspace').value;
     const assigneeId = this.modal.querySelector('#asana-assignee').value;
     const dueDate = this.modal.querySelector('#asana-due-date').value;
+    const dueTime = this.modal.querySelector('#asana-due-time').value;
+    const startDate = this.modal.querySelector('#asana-start-date').value;
     const includeBody = this.modal.querySelector('#asana-include-body').checked;
+    const includeThread = this.modal.querySelector('#asana-include-thread').checked;
     const includeLink = this.modal.querySelector('#asana-include-link').checked;
     const attachEml = this.modal.querySelector('#asana-attach-eml').checked;
     const addGmailLabel = this.modal.querySelector('#asana-add-label').checked;
+    const subtasks = this.modal.querySelector('#asana-split-subtasks').checked
+      ? this.subtasks.filter(subtask => subtask.checked && subtask.name.trim())
+      : [];
 
     if (!taskName) {
       this.showStatus(this.t('errorEnterTaskName'), 'error');
       return;
     }
 
-    if (!this.selectedProject) {
+    if (this.selectedProjects.length === 0) {
       this.showStatus(this.t('errorSelectProject'), 'error');
       return;
     }
 
+    const missingFields = this.getMissingRequiredFields();
+    if (missingFields.length > 0) {
+      missingFields.forEach(field => {
+        this.modal.querySelector(`.asana-custom-field[data-field-id="${field.gid}"]`)?.classList.add('asana-cf-missing');
+      });
+      this.showStatus(this.t('errorRequiredFields', [missingFields.map(f => f.name).join(', ')]), 'error');
+      return;
+    }
+
+    // A due time alone would be dropped: Asana needs the day it belongs to
+    if (dueTime && !dueDate) {
+      this.showStatus(this.t('errorDueTimeWithoutDate'), 'error');
+      return;
+    }
+
+    // Asana only accepts a start date that comes before the due date
+    if (startDate && (!dueDate || startDate >= dueDate)) {
+      this.showStatus(this.t('errorStartDate'), 'error');
+      return;
+    }
+
+    const createBtn = this.modal.querySelector('#asana-create');
+
+    // A teammate (or an earlier click) may already have made a task for this thread
+    if (!this.duplicatesConfirmed && this.emailData.threadId) {
+      createBtn.disabled = true;
+      this.showStatus(this.t('checkingExistingTasks'), 'info');
+      let existingTasks;
+      try {
+        existingTasks = await this.findThreadTasks(workspaceId);
+      } catch (error) {
+        // Not knowing never blocks creation: the next click goes ahead
+        console.error('Error looking for existing tasks:', error);
+        createBtn.disabled = false;
+        this.duplicatesConfirmed = true;
+        this.showStatus(this.escapeHtml(this.t('errorCheckExistingTasks', [error.message])), 'error');
+        return;
+      }
+      createBtn.disabled = false;
+      this.showStatus('');
+
+      if (existingTasks.length > 0) {
+        this.renderDuplicateWarning(existingTasks);
+        return;
+      }
+    }
+
     // Get selected attachments
     const selectedAttachments = [];
     this.modal.querySelectorAll('input[name="attachment"]:checked').forEach(checkbox => {
@@ -1308,7 +2845,6 @@ const ProjectSelector = {
       });
     });
 
-    const createBtn = this.modal.querySelector('#asana-create');
     createBtn.disabled = true;
     createBtn.textContent = this.t('creating');
 
@@ -1316,69 +2852,103 @@ const ProjectSelector = {
       this.showStatus(this.t('creatingTask'), 'info');
 
       // Build Asana-compatible HTML notes
-      const convert = tiptapToAsanaXML;
+      const { escapeXml } = window.TiptapAsana;
       let parts = [];
 
+      // Template preamble comes first
+      if (this.selectedTemplate?.notesPreamble) {
+        parts.push(escapeXml(this.fillTemplatePattern(this.selectedTemplate.notesPreamble)));
+      }
       // Add sender info
       if (this.emailData.sender) {
-        parts.push(`${this.t('from')} ${this.escapeHtml(this.emailData.sender)}`);
+        parts.push(`${this.t('from')} ${escapeXml(this.emailData.sender)}`);
       }
       // Add date if available
       if (this.emailData.date) {
-        parts.push(`Date: ${this.escapeHtml(this.emailData.date)}`);
+        parts.push(`Date: ${escapeXml(this.emailData.date)}`);
       }
       // Add Gmail link
       if (includeLink && this.emailData.emailUrl) {
-        parts.push(`<a href="${this.escapeHtml(this.emailData.emailUrl)}">Ouvrir dans Gmail</a>`);
+        parts.push(`<a href="${escapeXml(this.emailData.emailUrl)}">Ouvrir dans Gmail</a>`);
       }
-      // Add body content from WYSIWYG editor (converted to Asana XML)
-      if (includeBody && this.editor) {
-        const editorHtml = this.editor.getHTML();
-        if (editorHtml && editorHtml !== '<p></p>') {
-          parts.push(convert(editorHtml));
+      // Add the whole conversation, or the body content from WYSIWYG editor (converted to Asana XML)
+      if (includeThread) {
+        this.showStatus(this.t('collectingThread'), 'info');
+        parts.push(await this.buildThreadTranscript());
+      } else if (includeBody && this.editor) {
+        const editorXml = window.TiptapAsana.getAsanaXML(this.editor);
+        if (editorXml) {
+          parts.push(editorXml);
         }
       }
 
       const htmlNotes = `<body>${parts.join('\n')}</body>`;
       console.log('html_notes:', htmlNotes);
+      const richText = this.checkRichText(htmlNotes);
 
       // Build custom fields data
-      const customFieldsData = {};
-      for (const [fieldId, value] of Object.entries(this.customFieldValues)) {
-        const field = this.customFields.find(f => f.gid === fieldId);
-        if (field) {
-          if (field.type === 'enum') {
-            customFieldsData[fieldId] = value; // enum option gid
-          } else if (field.type === 'number') {
-            customFieldsData[fieldId] = parseFloat(value);
-          } else {
-            customFieldsData[fieldId] = value;
-          }
-        }
-      }
+      const customFieldsData = this.buildCustomFieldsData();
 
       // Create the task
       const taskResponse = await chrome.runtime.sendMessage({
         type: 'CREATE_TASK',
+        link: this.getLinkInfo(),
         taskData: {
-          projectId: this.selectedProject.gid,
+          projects: this.selectedProjects.map(p => ({
+            projectId: p.gid,
+            sectionId: this.selectedSections[p.gid] || null,
+          })),
           workspaceId,
           name: taskName,
-          htmlNotes,
+          htmlNotes: richText.html,
+          notes: richText.text,
           assignee: assigneeId || null,
           dueDate: dueDate || null,
+          // Local date + time converted to a UTC timestamp (Asana shows it in each user's timezone)
+          dueAt: dueDate && dueTime ? new Date(`${dueDate}T${dueTime}`).toISOString() : null,
+          startDate: startDate || null,
           tags: this.selectedTags.length > 0 ? this.selectedTags.map(t => t.gid) : null,
+          followers: this.selectedFollowers.length > 0 ? this.selectedFollowers.map(f => f.gid) : null,
           customFields: Object.keys(customFieldsData).length > 0 ? customFieldsData : null,
         },
       });
 
       // Check for error response
       if (taskResponse.error) {
-        throw new Error(taskResponse.error);
+        throw this.toError(taskResponse);
       }
 
       const task = taskResponse;
 
+      // Show the new task's badge in the thread
+      window.GmailInjector?.refreshLinkedBadges(this.emailData.threadId);
+
+      // Create subtasks (in order, so they keep the order of the email)
+      const failedSubtasks = [];
+      if (subtasks.length > 0) {
+        this.showStatus(this.t('creatingSubtasks', [subtasks.length.toString()]), 'info');
+
+        for (const subtask of subtasks) {
+          try {
+            const subtaskResponse = await chrome.runtime.sendMessage({
+              type: 'CREATE_SUBTASK',
+              parentTaskId: task.gid,
+              subtaskData: {
+                name: subtask.name.trim(),
+                assignee: subtask.assignee || null,
+                dueDate: subtask.dueDate || null,
+              },
+            });
+            if (subtaskResponse.error) {
+              throw this.toError(subtaskResponse);
+            }
+          } catch (subtaskError) {
+            console.error('Failed to create subtask:', subtask.name, subtaskError);
+            failedSubtasks.push({ name: subtask.name.trim(), error: subtaskError.message });
+          }
+        }
+      }
+
       // Upload EML file first (if selected)
       if (attachEml) {
         console.log('EML attachment requested, URL:', this.emailData.emlDownloadUrl);
@@ -1431,7 +3001,19 @@ const ProjectSelector = {
 
       // Success - show link and close
       const taskUrl = `https://app.asana.com/0/0/${task.gid}`;
-      this.showStatus(`${this.t('taskCreated')} <a href="${taskUrl}" target="_blank">${this.t('openInAsana')}</a>`, 'success');
+      const taskCreated = `${this.t('taskCreated')} <a href="${taskUrl}" target="_blank">${this.t('openInAsana')}</a>`;
+
+      if (failedSubtasks.length > 0) {
+        // The task exists: say which subtasks are missing instead of a plain success
+        const created = subtasks.length - failedSubtasks.length;
+        this.showStatus(
+          `${taskCreated}<br>${this.t('subtasksPartlyCreated', [created.toString(), subtasks.length.toString()])}` +
+          `<ul class="asana-subtask-failures">${failedSubtasks.map(failed => `<li>${this.escapeHtml(failed.name)} (${this.escapeHtml(failed.error)})</li>`).join('')}</ul>`,
+          'error',
+        );
+      } else {
+        this.showStatus(taskCreated, 'success');
+      }
 
       // Show browser notification
       chrome.runtime.sendMessage({
@@ -1441,8 +3023,8 @@ const ProjectSelector = {
         url: taskUrl,
       });
 
-      // Auto-close modal if enabled
-      if (this.preferences.autoClose) {
+      // Auto-close modal if enabled (not when subtasks are missing, so the list can be read)
+      if (this.preferences.autoClose && failedSubtasks.length === 0) {
         setTimeout(() => this.close(), 2000);
       }
 
@@ -1453,6 +3035,74 @@ const ProjectSelector = {
     }
   },
 
+  /**
+   * Email side of a history link, sent along with CREATE_TASK and ADD_COMMENT
+   */
+  getLinkInfo() {
+    return {
+      threadId: this.emailData.threadId || null,
+      legacyThreadId: this.emailData.legacyThreadId || null,
+      messageId: this.emailData.messageId || null,
+      subject: this.emailData.subject || '',
+      emailUrl: this.emailData.emailUrl || null,
+    };
+  },
+
+  /**
+   * Find tasks that already reference this thread
+   */
+  async findThreadTasks(workspaceId) {
+    const tasks = await chrome.runtime.sendMessage({
+      type: 'FIND_THREAD_TASKS',
+      workspaceId,
+      threadId: this.emailData.threadId,
+      legacyThreadId: this.emailData.legacyThreadId,
+    });
+    if (tasks.error) {
+      throw this.toError(tasks);
+    }
+    return tasks;
+  },
+
+  /**
+   * Show the tasks already linked to this thread, with open / comment instead / create anyway
+   */
+  renderDuplicateWarning(tasks) {
+    const container = this.modal.querySelector('#asana-duplicate-warning');
+
+    container.innerHTML = `
+      <div class="asana-duplicate-title">⚠ ${this.t('alreadyLinkedTo')}</div>
+      ${tasks.map(task => `
+        <div class="asana-duplicate-task" data-id="${task.gid}">
+          <span class="asana-task-check">${task.completed ? '✓' : '○'}</span>
+          <span class="asana-duplicate-name">
+            <strong>${this.escapeHtml(task.name)}</strong>
+            ${task.assignee ? `<span class="asana-text-muted">👤 ${this.escapeHtml(task.assignee.name)}</span>` : ''}
+          </span>
+          <a href="${task.permalink_url || `https://app.asana.com/0/0/${task.gid}`}" target="_blank" class="asana-duplicate-action">${this.t('openInAsana')}</a>
+          <button type="button" class="asana-duplicate-action" data-action="comment">${this.t('commentInstead')}</button>
+        </div>
+      `).join('')}
+      <button type="button" class="asana-btn asana-btn-secondary" id="asana-create-anyway">${this.t('createAnyway')}</button>
+    `;
+    container.style.display = '';
+
+    container.querySelectorAll('[data-action="comment"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const task = tasks.find(t => t.gid === btn.closest('.asana-duplicate-task').dataset.id);
+        container.style.display = 'none';
+        this.switchMode('comment');
+        this.selectExistingTask(task);
+      });
+    });
+
+    container.querySelector('#asana-create-anyway').addEventListener('click', () => {
+      this.duplicatesConfirmed = true;
+      container.style.display = 'none';
+      this.createTask();
+    });
+  },
+
   /**
    * Add comment to an existing task
    */
@@ -1463,6 +3113,7 @@ const ProjectSelector = {
     }
 
     const includeBody = this.modal.querySelector('#asana-include-body').checked;
+    const includeThread = this.modal.querySelector('#asana-include-thread').checked;
     const includeLink = this.modal.querySelector('#asana-include-link').checked;
     const attachEml = this.modal.querySelector('#asana-attach-eml').checked;
     const addGmailLabel = this.modal.querySelector('#asana-add-label').checked;
@@ -1481,48 +3132,79 @@ const ProjectSelector = {
     createBtn.textContent = this.t('addingComment');
 
     try {
+      // Task panel edits go first, so the link records the task as it now is
+      const changes = this.getTaskPanelChanges();
+      if (Object.keys(changes).length > 0) {
+        this.showStatus(this.t('updatingTask'), 'info');
+        const updated = await chrome.runtime.sendMessage({
+          type: 'UPDATE_TASK',
+          taskId: this.selectedExistingTask.gid,
+          changes,
+        });
+        if (updated.error) {
+          throw this.toError(updated);
+        }
+
+        this.selectedExistingTask = updated;
+        this.taskPanel = { task: updated, values: this.getTaskPanelValues(updated) };
+        this.renderTaskPanel();
+      }
+
       this.showStatus(this.t('addingComment'), 'info');
 
       // Build Asana-compatible HTML comment
-      const convert = tiptapToAsanaXML;
+      const { escapeXml } = window.TiptapAsana;
       let commentParts = [];
 
-      commentParts.push(`<strong>${this.escapeHtml(this.emailData.subject || '(no subject)')}</strong>`);
+      commentParts.push(`<strong>${escapeXml(this.emailData.subject || '(no subject)')}</strong>`);
 
       // Add sender and date
       const meta = [];
-      if (this.emailData.sender) meta.push(`De: ${this.escapeHtml(this.emailData.sender)}`);
-      if (this.emailData.date) meta.push(this.escapeHtml(this.emailData.date));
+      if (this.emailData.sender) meta.push(`De: ${escapeXml(this.emailData.sender)}`);
+      if (this.emailData.date) meta.push(escapeXml(this.emailData.date));
       if (meta.length > 0) commentParts.push(meta.join(' | '));
 
       // Add Gmail link
       if (includeLink && this.emailData.emailUrl) {
-        commentParts.push(`<a href="${this.escapeHtml(this.emailData.emailUrl)}">Ouvrir dans Gmail</a>`);
+        commentParts.push(`<a href="${escapeXml(this.emailData.emailUrl)}">Ouvrir dans Gmail</a>`);
       }
 
-      // Add body content from WYSIWYG editor (converted to Asana XML)
-      if (includeBody && this.editor) {
-        const editorHtml = this.editor.getHTML();
-        if (editorHtml && editorHtml !== '<p></p>') {
-          commentParts.push(convert(editorHtml));
+      // Add the whole conversation, or the body content from WYSIWYG editor (converted to Asana XML)
+      if (includeThread) {
+        this.showStatus(this.t('collectingThread'), 'info');
+        commentParts.push(await this.buildThreadTranscript());
+      } else if (includeBody && this.editor) {
+        const editorXml = window.TiptapAsana.getAsanaXML(this.editor);
+        if (editorXml) {
+          commentParts.push(editorXml);
         }
       }
 
       const htmlComment = `<body>${commentParts.join('\n')}</body>`;
       console.log('html_text:', htmlComment);
+      const richText = this.checkRichText(htmlComment);
 
       // Add comment to task
       const commentResponse = await chrome.runtime.sendMessage({
         type: 'ADD_COMMENT',
         taskId: this.selectedExistingTask.gid,
-        text: '', // fallback
-        htmlText: htmlComment,
+        text: richText.text || '',
+        htmlText: richText.html,
+        link: {
+          ...this.getLinkInfo(),
+          taskName: this.selectedExistingTask.name,
+          projectNames: (this.selectedExistingTask.projects || []).map(p => p.name),
+          taskCompleted: !!this.selectedExistingTask.completed,
+        },
       });
 
       if (commentResponse.error) {
-        throw new Error(commentResponse.error);
+        throw this.toError(commentResponse);
       }
 
+      // The thread may not have shown this task yet
+      window.GmailInjector?.refreshLinkedBadges(this.emailData.threadId);
+
       // Upload EML file (if selected)
       if (attachEml) {
         console.log('EML attachment requested (comment mode), URL:', this.emailData.emlDownloadUrl);
@@ -1596,19 +3278,45 @@ const ProjectSelector = {
   },
 
   /**
-   * Expand all messages in Gmail and rescan for attachments
+   * Check rich text before sending it: Asana refuses the whole request when its XML is invalid,
+   * so anything the validator rejects is sent as plain text instead
+   * @returns {{ html: string|null, text: string|null }}
    */
-  async expandAllAndRescan() {
-    const expandBtn = this.modal.querySelector('#asana-expand-all');
-    const container = this.modal.querySelector('#asana-attachments-container');
-
-    // Show loading state
-    if (expandBtn) {
-      expandBtn.disabled = true;
-      expandBtn.innerHTML = `⏳ ${this.t('expanding')}`;
+  checkRichText(xml) {
+    const { valid, errors } = window.TiptapAsana.validateAsanaXML(xml);
+    if (valid) {
+      return { html: xml, text: null };
     }
 
-    // Temporarily hide modal to allow clicking on Gmail
+    console.warn('Rich text rejected, sending plain text instead:', errors);
+    return { html: null, text: window.TiptapAsana.toPlainText(xml) };
+  },
+
+  /**
+   * Build the transcript of the whole thread: one block per message, oldest first,
+   * headed by its sender and date (text quoted from earlier messages is left out)
+   */
+  async buildThreadTranscript() {
+    await this.expandAllMessages();
+
+    // Messages are cleaned up like the body, unless the original was restored
+    return window.EmailExtractor.getThreadMessages({
+      clean: this.modal.querySelector('#asana-clean-body')?.checked !== false,
+      disclaimerPatterns: this.preferences.disclaimerPatterns || [],
+    })
+      .map(message => {
+        const { escapeXml } = window.TiptapAsana;
+        const header = [message.sender, message.date].filter(Boolean).map(value => escapeXml(value)).join(' · ');
+        return [header && `<strong>${header}</strong>`, escapeXml(message.body)].filter(Boolean).join('\n');
+      })
+      .join('\n\n');
+  },
+
+  /**
+   * Expand every collapsed message of the thread in Gmail
+   * The modal is hidden meanwhile so the clicks reach Gmail
+   */
+  async expandAllMessages() {
     this.modal.style.display = 'none';
 
     try {
@@ -1683,9 +3391,26 @@ const ProjectSelector = {
 
       // Wait for Gmail to load expanded content
       await this.sleep(1500);
-
-      // Show modal again
+    } finally {
       this.modal.style.display = '';
+    }
+  },
+
+  /**
+   * Expand all messages in Gmail and rescan for attachments
+   */
+  async expandAllAndRescan() {
+    const expandBtn = this.modal.querySelector('#asana-expand-all');
+    const container = this.modal.querySelector('#asana-attachments-container');
+
+    // Show loading state
+    if (expandBtn) {
+      expandBtn.disabled = true;
+      expandBtn.innerHTML = `⏳ ${this.t('expanding')}`;
+    }
+
+    try {
+      await this.expandAllMessages();
 
       // Rescan attachments
       this.threadAttachments = window.EmailExtractor.getAllThreadAttachments();
@@ -1763,8 +3488,6 @@ const ProjectSelector = {
 
     } catch (error) {
       console.error('Error expanding messages:', error);
-      // Make sure modal is visible again
-      this.modal.style.display = '';
       if (expandBtn) {
         expandBtn.disabled = false;
         expandBtn.innerHTML = `🔄 ${this.t('expandAllMessages')}`;
@@ -1821,7 +3544,7 @@ const ProjectSelector = {
     });
 
     if (response.error) {
-      throw new Error(response.error);
+      throw this.toError(response);
     }
 
     return response;
@@ -1875,6 +3598,17 @@ const ProjectSelector = {
     }
   },
 
+  /**
+   * Build an Error from a failed service worker response
+   * Known Asana error types get a friendly localized message instead of the raw one
+   */
+  toError(response) {
+    const key = ERROR_MESSAGE_KEYS[response.errorType];
+    const error = new Error(key ? this.t(key) : response.error);
+    error.type = response.errorType;
+    return error;
+  },
+
   /**
    * Show status message
    */
@@ -1929,12 +3663,15 @@ const ProjectSelector = {
 
   /**
    * Escape HTML to prevent XSS
+   * Quotes too: escaped values also go into attributes (titles, values)
    */
   escapeHtml(text) {
     if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   },
 
   /**
@@ -0,0 +1,144 @@
+/**
+ * Rule Engine - Picks workspace, project, assignee, tags... from email data
+ * Rules are edited in the popup and stored in preferences.rules
+ *
+ * Rule format:
+ * {
+ *   id, name, enabled,
+ *   match: 'all' | 'any',
+ *   conditions: [{ field, operator, value }],
+ *   actions: { workspaceId, projectId, sectionId, assigneeId, tagIds, dueDateOffset, customFields }
+ * }
+ */
+
+const RuleEngine = {
+  /**
+   * Email fields a condition can test
+   */
+  FIELDS: ['sender', 'recipients', 'subject', 'body', 'label', 'attachmentType'],
+
+  /**
+   * Comparison operators (all case-insensitive)
+   */
+  OPERATORS: ['contains', 'equals', 'startsWith', 'endsWith', 'matches'],
+
+  /**
+   * Get the values of an email field (several for recipients, labels and attachments)
+   */
+  getFieldValues(field, emailData) {
+    switch (field) {
+      case 'sender':
+        return [emailData.sender || ''];
+      case 'recipients':
+        return (emailData.recipients || []).flatMap(r => [r.email, r.name].filter(Boolean));
+      case 'subject':
+        return [emailData.subject || ''];
+      case 'body':
+        return [emailData.body || ''];
+      case 'label':
+        return emailData.labels || [];
+      case 'attachmentType':
+        // File extensions, without the dot
+        return (emailData.attachments || [])
+          .map(att => att.name?.match(/\.([^.]+)$/)?.[1])
+          .filter(Boolean);
+      default:
+        return [];
+    }
+  },
+
+  /**
+   * Compare one value against a condition
+   */
+  compare(operator, actual, expected) {
+    const a = actual.toLowerCase();
+    const e = expected.toLowerCase();
+
+    switch (operator) {
+      case 'contains': return a.includes(e);
+      case 'equals': return a === e;
+      case 'startsWith': return a.startsWith(e);
+      case 'endsWith': return a.endsWith(e);
+      case 'matches':
+        try {
+          return new RegExp(expected, 'i').test(actual);
+        } catch (error) {
+          return false; // Invalid pattern never matches
+        }
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Check a single condition (true when any value of the field satisfies it)
+   */
+  matchesCondition(condition, emailData) {
+    if (!condition.value) return false;
+    return this.getFieldValues(condition.field, emailData)
+      .some(value => this.compare(condition.operator, value, condition.value));
+  },
+
+  /**
+   * Check whether a rule applies to an email
+   */
+  matches(rule, emailData) {
+    if (rule.enabled === false || !rule.conditions?.length) return false;
+
+    return rule.match === 'any'
+      ? rule.conditions.some(c => this.matchesCondition(c, emailData))
+      : rule.conditions.every(c => this.matchesCondition(c, emailData));
+  },
+
+  /**
+   * Evaluate rules in order
+   * 'first' mode applies the first matching rule only; 'merge' mode combines every match,
+   * earlier rules winning on conflicts and tags being added up
+   * Rules saved for another Asana connection are skipped: their projects and users don't exist here
+   * @param {string|null} connectionId - Active connection
+   * @returns {object|null} { actions, ruleNames } or null when nothing matched
+   */
+  evaluate(rules, emailData, mode = 'first', connectionId = null) {
+    const matched = (rules || [])
+      .filter(rule => !rule.connectionId || !connectionId || rule.connectionId === connectionId)
+      .filter(rule => this.matches(rule, emailData));
+    if (matched.length === 0) return null;
+
+    const applied = mode === 'merge' ? matched : matched.slice(0, 1);
+    const actions = { tagIds: [], customFields: {} };
+    const ruleNames = [];
+
+    for (const rule of applied) {
+      const ruleActions = rule.actions || {};
+
+      // Project, section... only make sense within the workspace of the rule that set them
+      if (ruleActions.workspaceId && actions.workspaceId && ruleActions.workspaceId !== actions.workspaceId) {
+        continue;
+      }
+
+      const takes = key => actions[key] == null && ruleActions[key] != null && ruleActions[key] !== '';
+
+      // A section belongs to its project: it only comes with the rule that chose the project
+      if (takes('projectId')) {
+        actions.projectId = ruleActions.projectId;
+        if (ruleActions.sectionId) actions.sectionId = ruleActions.sectionId;
+      }
+
+      for (const key of ['workspaceId', 'assigneeId', 'dueDateOffset']) {
+        if (takes(key)) actions[key] = ruleActions[key];
+      }
+
+      for (const tagId of ruleActions.tagIds || []) {
+        if (!actions.tagIds.includes(tagId)) actions.tagIds.push(tagId);
+      }
+
+      actions.customFields = { ...(ruleActions.customFields || {}), ...actions.customFields };
+      ruleNames.push(rule.name);
+    }
+
+    return { actions, ruleNames };
+  },
+};
+
+// Make available globally for other content scripts
+window.RuleEngine = RuleEngine;
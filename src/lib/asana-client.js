@@ -1,51 +1,263 @@
 /**
  * Asana API Client
- * Uses Personal Access Token for authentication
+ * Authenticates with OAuth 2.0 (authorization code + PKCE) or a Personal Access Token
+ * Every API call takes the id of the connection (see connections.js) whose credentials to use
  */
 
+import { getConnection, saveConnection, deleteConnection, createConnectionId } from './connections.js';
+
 const ASANA_API_BASE = 'https://app.asana.com/api/1.0';
 
+// OAuth endpoints and token lifetime handling
+const ASANA_OAUTH_AUTHORIZE_URL = 'https://app.asana.com/-/oauth_authorize';
+const ASANA_OAUTH_TOKEN_URL = 'https://app.asana.com/-/oauth_token';
+const ASANA_OAUTH_REVOKE_URL = 'https://app.asana.com/-/oauth_revoke';
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Pagination defaults (Asana accepts a page size between 1 and 100)
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 100;
+const MAX_PAGINATED_ITEMS = 10000;
+
+// In-flight refreshes by connection, shared so parallel requests don't each refresh the token
+const refreshPromises = new Map();
+
 /**
- * Get the stored Asana token
+ * Get a usable Asana access token for a connection
+ * OAuth tokens are refreshed shortly before they expire; PAT connections return their token as-is
+ * @param {string} connectionId - Connection id
+ * @param {object} options - { forceRefresh } to refresh even if not yet expired
  */
-async function getToken() {
-  const data = await chrome.storage.local.get('asanaToken');
-  return data.asanaToken;
+async function getToken(connectionId, { forceRefresh = false } = {}) {
+  const connection = connectionId ? await getConnection(connectionId) : null;
+  if (!connection) return null;
+
+  if (connection.type === 'oauth') {
+    const { accessToken, expiresAt } = connection.oauth || {};
+    if (!forceRefresh && accessToken && expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return accessToken;
+    }
+    return refreshAccessToken(connectionId);
+  }
+
+  return connection.token;
 }
 
+// Request layer: concurrency limit and retry/backoff policy
+const MAX_CONCURRENT_REQUESTS = 3;
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+
 /**
- * Make an authenticated request to the Asana API
+ * Error categories surfaced to the UI
+ */
+export const ERROR_TYPES = {
+  AUTH: 'auth',
+  PERMISSION: 'permission',
+  NOT_FOUND: 'not_found',
+  RATE_LIMIT: 'rate_limit',
+  NETWORK: 'network',
+  SERVER: 'server',
+  REQUEST: 'request',
+};
+
+/**
+ * Error thrown for any request that failed after retries
+ * `type` is one of ERROR_TYPES so callers can react without parsing messages
+ */
+export class AsanaApiError extends Error {
+  constructor(message, { type = ERROR_TYPES.REQUEST, status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'AsanaApiError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Map an HTTP status to an error type
+ */
+function errorTypeForStatus(status) {
+  if (status === 401) return ERROR_TYPES.AUTH;
+  if (status === 402 || status === 403) return ERROR_TYPES.PERMISSION;
+  if (status === 404) return ERROR_TYPES.NOT_FOUND;
+  if (status === 429) return ERROR_TYPES.RATE_LIMIT;
+  if (status >= 500) return ERROR_TYPES.SERVER;
+  return ERROR_TYPES.REQUEST;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Concurrency-limited request queue shared by every Asana call
+ * A 429 pauses the whole queue so parallel bursts back off together
+ */
+const requestQueue = {
+  active: 0,
+  waiting: [],
+  pausedUntil: 0,
+
+  async run(task) {
+    if (this.active < MAX_CONCURRENT_REQUESTS) {
+      this.active++;
+    } else {
+      // Slot is handed over directly by release()
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    try {
+      const pause = this.pausedUntil - Date.now();
+      if (pause > 0) {
+        await sleep(pause);
+      }
+      return await task();
+    } finally {
+      this.release();
+    }
+  },
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  },
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  },
+};
+
+/**
+ * Send a request through the queue, retrying where it is safe to do so
+ * - 429: always retried (Asana rejected it before processing), honouring Retry-After
+ * - 5xx and network failures: retried for idempotent GETs only
+ */
+async function asanaRequest(endpoint, init = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const idempotent = method === 'GET' || method === 'HEAD';
+
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < MAX_RETRIES;
+    let response;
+
+    try {
+      response = await requestQueue.run(() => fetch(`${ASANA_API_BASE}${endpoint}`, init));
+    } catch (error) {
+      // fetch only rejects on network failure
+      if (idempotent && canRetry) {
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+      throw new AsanaApiError(`Network error: ${error.message}`, { type: ERROR_TYPES.NETWORK });
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+
+    if (response.status === 429 && canRetry) {
+      requestQueue.pause(retryAfter ?? backoffDelay(attempt));
+      continue;
+    }
+
+    if (response.status >= 500 && idempotent && canRetry) {
+      await sleep(retryAfter ?? backoffDelay(attempt));
+      continue;
+    }
+
+    const error = await response.json().catch(() => ({}));
+    throw new AsanaApiError(error.errors?.[0]?.message || `Asana API error: ${response.status}`, {
+      type: errorTypeForStatus(response.status),
+      status: response.status,
+      retryAfter,
+    });
+  }
+}
+
+/**
+ * Send a request with the current access token
+ * An OAuth token can be revoked before it expires: on 401, refresh once and retry
  */
-async function asanaFetch(endpoint, options = {}) {
-  const token = await getToken();
+async function authorizedRequest(connectionId, endpoint, init = {}) {
+  const token = await getToken(connectionId);
 
   if (!token) {
-    throw new Error('Token Asana non configuré. Cliquez sur l\'icône de l\'extension pour le configurer.');
+    throw new AsanaApiError('Token Asana non configuré. Cliquez sur l\'icône de l\'extension pour le configurer.', {
+      type: ERROR_TYPES.AUTH,
+    });
   }
 
-  const response = await fetch(`${ASANA_API_BASE}${endpoint}`, {
-    ...options,
+  const withToken = accessToken => ({
+    ...init,
     headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
-      ...options.headers,
+      ...init.headers,
+      'Authorization': `Bearer ${accessToken}`,
     },
   });
 
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.errors?.[0]?.message || `Asana API error: ${response.status}`);
+  try {
+    return await asanaRequest(endpoint, withToken(token));
+  } catch (error) {
+    const connection = await getConnection(connectionId);
+    if (error.status === 401 && connection?.type === 'oauth') {
+      const freshToken = await getToken(connectionId, { forceRefresh: true });
+      return asanaRequest(endpoint, withToken(freshToken));
+    }
+    throw error;
   }
+}
 
-  return response.json();
+/**
+ * Make an authenticated request to the Asana API
+ */
+async function asanaFetch(connectionId, endpoint, options = {}) {
+  return authorizedRequest(connectionId, endpoint, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
 }
 
 /**
  * Check if user is logged in to Asana (has valid token)
  */
-export async function checkSession() {
+export async function checkSession(connectionId) {
   try {
-    const token = await getToken();
+    const token = await getToken(connectionId);
 
     if (!token) {
       return {
@@ -55,7 +267,7 @@ export async function checkSession() {
       };
     }
 
-    const result = await asanaFetch('/users/me');
+    const result = await asanaFetch(connectionId, '/users/me');
     return {
       loggedIn: true,
       user: result.data,
@@ -64,50 +276,345 @@ export async function checkSession() {
     return {
       loggedIn: false,
       error: error.message,
+      errorType: error.type,
     };
   }
 }
 
+/**
+ * Encode bytes as base64url (no padding), as required by PKCE
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Get the OAuth app configuration saved from the popup
+ */
+async function getOAuthConfig() {
+  const { oauthConfig } = await chrome.storage.local.get('oauthConfig');
+
+  if (!oauthConfig?.clientId) {
+    throw new AsanaApiError('Client ID OAuth non configuré', { type: ERROR_TYPES.AUTH });
+  }
+
+  return oauthConfig;
+}
+
+/**
+ * Call the OAuth token endpoint (code exchange or refresh)
+ */
+async function requestOAuthToken(params) {
+  let response;
+
+  try {
+    response = await fetch(ASANA_OAUTH_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params),
+    });
+  } catch (error) {
+    throw new AsanaApiError(`Network error: ${error.message}`, { type: ERROR_TYPES.NETWORK });
+  }
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new AsanaApiError(result.error_description || result.error || `OAuth error: ${response.status}`, {
+      type: response.status >= 500 ? ERROR_TYPES.SERVER : ERROR_TYPES.AUTH,
+      status: response.status,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Build the stored OAuth token set (a refresh response doesn't repeat the refresh token)
+ */
+function toOAuthTokens(tokens, previousRefreshToken = null) {
+  return {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || previousRefreshToken,
+    expiresAt: Date.now() + (tokens.expires_in || 3600) * 1000,
+  };
+}
+
+/**
+ * Exchange a connection's refresh token for a new access token
+ */
+function refreshAccessToken(connectionId) {
+  if (!refreshPromises.has(connectionId)) {
+    const refresh = (async () => {
+      const connection = await getConnection(connectionId);
+      const { clientId, clientSecret } = await getOAuthConfig();
+
+      if (!connection?.oauth?.refreshToken) {
+        throw new AsanaApiError('Session Asana expirée. Reconnectez-vous depuis l\'extension.', { type: ERROR_TYPES.AUTH });
+      }
+
+      try {
+        const tokens = await requestOAuthToken({
+          grant_type: 'refresh_token',
+          client_id: clientId,
+          ...(clientSecret ? { client_secret: clientSecret } : {}),
+          refresh_token: connection.oauth.refreshToken,
+        });
+        const oauth = toOAuthTokens(tokens, connection.oauth.refreshToken);
+        await saveConnection({ id: connectionId, oauth });
+        return oauth.accessToken;
+      } catch (error) {
+        // The refresh token was revoked: drop the dead tokens so the user is asked to sign in again
+        if (error.type === ERROR_TYPES.AUTH) {
+          await saveConnection({ id: connectionId, oauth: null });
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromises.delete(connectionId);
+    });
+
+    refreshPromises.set(connectionId, refresh);
+  }
+
+  return refreshPromises.get(connectionId);
+}
+
+/**
+ * Sign in with OAuth 2.0 (authorization code flow with PKCE)
+ * Opens Asana's consent screen through chrome.identity and stores the tokens on a connection
+ * @param {object} options - { name } for a new connection, or { connectionId } to re-authorize one
+ */
+export async function signInWithOAuth({ name = null, connectionId = null } = {}) {
+  const { clientId, clientSecret } = await getOAuthConfig();
+  const redirectUri = chrome.identity.getRedirectURL('oauth');
+
+  const codeVerifier = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  const codeChallenge = base64UrlEncode(new Uint8Array(digest));
+  const state = base64UrlEncode(crypto.getRandomValues(new Uint8Array(16)));
+
+  const authUrl = `${ASANA_OAUTH_AUTHORIZE_URL}?${new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  })}`;
+
+  const responseUrl = await chrome.identity.launchWebAuthFlow({ url: authUrl, interactive: true });
+  const params = new URL(responseUrl).searchParams;
+
+  if (params.get('error')) {
+    throw new AsanaApiError(params.get('error_description') || params.get('error'), { type: ERROR_TYPES.AUTH });
+  }
+  if (params.get('state') !== state) {
+    throw new AsanaApiError('Réponse OAuth invalide (state)', { type: ERROR_TYPES.AUTH });
+  }
+
+  const tokens = await requestOAuthToken({
+    grant_type: 'authorization_code',
+    client_id: clientId,
+    ...(clientSecret ? { client_secret: clientSecret } : {}),
+    redirect_uri: redirectUri,
+    code: params.get('code'),
+    code_verifier: codeVerifier,
+  });
+
+  const id = connectionId || createConnectionId();
+  await saveConnection({ id, type: 'oauth', token: null, oauth: toOAuthTokens(tokens) });
+
+  const result = await asanaFetch(id, '/users/me');
+  const connection = await saveConnection({
+    id,
+    name: name || (await getConnection(id)).name || result.data.name,
+    user: result.data,
+  });
+
+  return { connection };
+}
+
+/**
+ * Add a connection authenticated with a Personal Access Token
+ * The token is checked against /users/me before it is saved
+ */
+export async function addTokenConnection({ name, token }) {
+  const result = await asanaRequest('/users/me', {
+    headers: { 'Authorization': `Bearer ${token}` },
+  });
+
+  const connection = await saveConnection({
+    id: createConnectionId(),
+    name: name || result.data.name,
+    type: 'pat',
+    token,
+    oauth: null,
+    user: result.data,
+  });
+
+  return { connection };
+}
+
+/**
+ * Remove a connection, revoking its OAuth refresh token first (best effort)
+ */
+export async function removeConnection(connectionId) {
+  const connection = await getConnection(connectionId);
+  const { oauthConfig } = await chrome.storage.local.get('oauthConfig');
+
+  if (connection?.oauth?.refreshToken && oauthConfig?.clientId) {
+    try {
+      await fetch(ASANA_OAUTH_REVOKE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: oauthConfig.clientId,
+          ...(oauthConfig.clientSecret ? { client_secret: oauthConfig.clientSecret } : {}),
+          token: connection.oauth.refreshToken,
+        }),
+      });
+    } catch (error) {
+      console.warn('Failed to revoke OAuth token:', error);
+    }
+  }
+
+  await deleteConnection(connectionId);
+  return { success: true };
+}
+
+/**
+ * Get the redirect URL to register in the Asana developer console
+ */
+export function getOAuthRedirectUrl() {
+  return chrome.identity.getRedirectURL('oauth');
+}
+
+/**
+ * Iterate over every page of a paginated Asana collection
+ * Follows next_page.offset cursors until exhausted or the item cap is reached
+ * @param {string} connectionId - Connection id
+ * @param {string} endpoint - Collection endpoint (may already contain a query string)
+ * @param {object} options - { pageSize, maxItems }
+ * @yields {Array} One page of results
+ */
+export async function* asanaPaginate(connectionId, endpoint, { pageSize = DEFAULT_PAGE_SIZE, maxItems = MAX_PAGINATED_ITEMS } = {}) {
+  const limit = Math.max(1, Math.min(pageSize, MAX_PAGE_SIZE));
+  const separator = endpoint.includes('?') ? '&' : '?';
+  let offset = null;
+  let fetched = 0;
+
+  do {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (offset) {
+      params.set('offset', offset);
+    }
+
+    const result = await asanaFetch(connectionId, `${endpoint}${separator}${params}`);
+    let page = result.data || [];
+
+    // Never hand out more than the hard cap, even mid-page
+    if (fetched + page.length > maxItems) {
+      page = page.slice(0, maxItems - fetched);
+    }
+    fetched += page.length;
+
+    yield page;
+
+    offset = result.next_page?.offset || null;
+  } while (offset && fetched < maxItems);
+}
+
+/**
+ * Collect every page of an async page iterator into a single array
+ */
+async function collectPages(pages) {
+  const items = [];
+  for await (const page of pages) {
+    items.push(...page);
+  }
+  return items;
+}
+
+/**
+ * Iterate over the workspaces of the current user, page by page
+ */
+export async function* iterateWorkspaces(connectionId, options) {
+  yield* asanaPaginate(connectionId, '/workspaces', options);
+}
+
 /**
  * Get all workspaces for the current user
  */
-export async function getWorkspaces() {
-  const result = await asanaFetch('/workspaces');
-  return result.data;
+export async function getWorkspaces(connectionId, options) {
+  return collectPages(iterateWorkspaces(connectionId, options));
+}
+
+/**
+ * Iterate over the projects of a workspace, page by page
+ */
+export async function* iterateProjects(connectionId, workspaceId, options) {
+  for await (const page of asanaPaginate(connectionId, `/workspaces/${workspaceId}/projects?archived=false&opt_fields=name,archived,color`, options)) {
+    // Filter out archived projects
+    yield page.filter(project => !project.archived);
+  }
 }
 
 /**
  * Get all projects in a workspace
  */
-export async function getProjects(workspaceId) {
-  const result = await asanaFetch(`/workspaces/${workspaceId}/projects?opt_fields=name,archived`);
-  // Filter out archived projects
-  return result.data.filter(project => !project.archived);
+export async function getProjects(connectionId, workspaceId, options) {
+  return collectPages(iterateProjects(connectionId, workspaceId, options));
+}
+
+/**
+ * Iterate over the users of a workspace, page by page
+ */
+export async function* iterateUsers(connectionId, workspaceId, options) {
+  yield* asanaPaginate(connectionId, `/workspaces/${workspaceId}/users?opt_fields=name,email,photo`, options);
 }
 
 /**
  * Get all users in a workspace (for assignee dropdown)
  */
-export async function getUsers(workspaceId) {
-  const result = await asanaFetch(`/workspaces/${workspaceId}/users?opt_fields=name,email,photo`);
-  return result.data;
+export async function getUsers(connectionId, workspaceId, options) {
+  return collectPages(iterateUsers(connectionId, workspaceId, options));
+}
+
+/**
+ * Iterate over the tags of a workspace, page by page
+ */
+export async function* iterateTags(connectionId, workspaceId, options) {
+  yield* asanaPaginate(connectionId, `/workspaces/${workspaceId}/tags?opt_fields=name,color`, options);
 }
 
 /**
  * Get all tags in a workspace
  */
-export async function getTags(workspaceId) {
-  const result = await asanaFetch(`/workspaces/${workspaceId}/tags?opt_fields=name,color`);
-  return result.data;
+export async function getTags(connectionId, workspaceId, options) {
+  return collectPages(iterateTags(connectionId, workspaceId, options));
 }
 
 /**
- * Create a new task in a project
+ * Get the sections of a project, in board/list order
  */
-export async function createTask({ projectId, name, notes, htmlNotes, workspaceId, assignee, dueDate, tags, customFields }) {
+export async function getSections(connectionId, projectId, options) {
+  return collectPages(asanaPaginate(connectionId, `/projects/${projectId}/sections?opt_fields=name`, options));
+}
+
+/**
+ * Create a new task in one or more projects
+ * @param {Array} projects - [{ projectId, sectionId }]; without a section the task lands in the project's first one
+ */
+export async function createTask(connectionId, { projects, name, notes, htmlNotes, workspaceId, assignee, dueDate, dueAt, startDate, tags, followers, customFields }) {
   const taskData = {
     name,
-    projects: [projectId],
+    // Projects and sections go in the create request itself, so the task is never left half placed
+    memberships: projects.map(p => (p.sectionId ? { project: p.projectId, section: p.sectionId } : { project: p.projectId })),
     workspace: workspaceId,
   };
 
@@ -122,51 +629,67 @@ export async function createTask({ projectId, name, notes, htmlNotes, workspaceI
   if (assignee) {
     taskData.assignee = assignee;
   }
-  if (dueDate) {
+  if (dueAt) {
+    taskData.due_at = dueAt; // ISO 8601 timestamp, takes precedence over due_on
+  } else if (dueDate) {
     taskData.due_on = dueDate; // Format: YYYY-MM-DD
   }
+  if (startDate) {
+    taskData.start_on = startDate; // Format: YYYY-MM-DD, requires a due date
+  }
   if (tags && tags.length > 0) {
     taskData.tags = tags;
   }
+  if (followers && followers.length > 0) {
+    taskData.followers = followers;
+  }
   if (customFields && Object.keys(customFields).length > 0) {
     taskData.custom_fields = customFields;
   }
 
-  const result = await asanaFetch('/tasks', {
+  const result = await asanaFetch(connectionId, '/tasks', {
     method: 'POST',
     body: JSON.stringify({ data: taskData }),
   });
+
   return result.data;
 }
 
 /**
- * Upload an attachment to a task
+ * Create a subtask under an existing task
  */
-export async function uploadAttachment(taskId, file, filename) {
-  const token = await getToken();
+export async function createSubtask(connectionId, parentTaskId, { name, notes, assignee, dueDate }) {
+  const taskData = { name };
 
-  if (!token) {
-    throw new Error('Token Asana non configuré');
+  if (notes) {
+    taskData.notes = notes;
+  }
+  if (assignee) {
+    taskData.assignee = assignee;
   }
+  if (dueDate) {
+    taskData.due_on = dueDate; // Format: YYYY-MM-DD
+  }
+
+  const result = await asanaFetch(connectionId, `/tasks/${parentTaskId}/subtasks`, {
+    method: 'POST',
+    body: JSON.stringify({ data: taskData }),
+  });
+  return result.data;
+}
 
+/**
+ * Upload an attachment to a task
+ */
+export async function uploadAttachment(connectionId, taskId, file, filename) {
   const formData = new FormData();
   formData.append('file', file, filename);
 
-  const response = await fetch(`${ASANA_API_BASE}/tasks/${taskId}/attachments`, {
+  // Don't set Content-Type header - browser will set it with boundary for FormData
+  return authorizedRequest(connectionId, `/tasks/${taskId}/attachments`, {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      // Don't set Content-Type header - browser will set it with boundary for FormData
-    },
     body: formData,
   });
-
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.errors?.[0]?.message || `Upload error: ${response.status}`);
-  }
-
-  return response.json();
 }
 
 /**
@@ -179,25 +702,44 @@ export function getTaskUrl(taskId) {
 /**
  * Search for tasks in a workspace
  */
-export async function searchTasks(workspaceId, query) {
+export async function searchTasks(connectionId, workspaceId, query) {
   if (!query || query.length < 2) return [];
 
   const result = await asanaFetch(
+    connectionId,
     `/workspaces/${workspaceId}/typeahead?resource_type=task&query=${encodeURIComponent(query)}&opt_fields=name,completed,assignee.name,projects.name`
   );
   return result.data;
 }
 
+/**
+ * Find tasks whose name or notes contain a text (e.g. a Gmail thread id)
+ * The search API is only available on premium workspaces: elsewhere this finds nothing
+ */
+export async function searchTasksByText(connectionId, workspaceId, text) {
+  try {
+    const result = await asanaFetch(
+      connectionId,
+      `/workspaces/${workspaceId}/tasks/search?text=${encodeURIComponent(text)}&opt_fields=name,completed,assignee.name,projects.name,permalink_url`
+    );
+    return result.data;
+  } catch (error) {
+    if (error.status === 402) return [];
+    throw error;
+  }
+}
+
 /**
  * Add a comment (story) to a task
+ * @param {string} connectionId - Connection id
  * @param {string} taskId - Task ID
  * @param {string} text - Plain text (fallback)
  * @param {string} htmlText - HTML formatted text (optional)
  */
-export async function addComment(taskId, text, htmlText = null) {
+export async function addComment(connectionId, taskId, text, htmlText = null) {
   const data = htmlText ? { html_text: htmlText } : { text };
 
-  const result = await asanaFetch(`/tasks/${taskId}/stories`, {
+  const result = await asanaFetch(connectionId, `/tasks/${taskId}/stories`, {
     method: 'POST',
     body: JSON.stringify({ data }),
   });
@@ -207,8 +749,23 @@ export async function addComment(taskId, text, htmlText = null) {
 /**
  * Get custom fields for a project
  */
-export async function getProjectCustomFields(projectId) {
-  const result = await asanaFetch(`/projects/${projectId}?opt_fields=custom_field_settings.custom_field.name,custom_field_settings.custom_field.type,custom_field_settings.custom_field.enum_options,custom_field_settings.custom_field.resource_subtype`);
+export async function getProjectCustomFields(connectionId, projectId) {
+  const fields = [
+    'name',
+    'type',
+    'resource_subtype',
+    'enum_options.name',
+    'enum_options.color',
+    'enum_options.enabled',
+    'precision',
+    'format',
+    'currency_code',
+    'custom_label',
+    'custom_label_position',
+    'is_required',
+  ].map(field => `custom_field_settings.custom_field.${field}`);
+
+  const result = await asanaFetch(connectionId, `/projects/${projectId}?opt_fields=${fields.join(',')}`);
 
   if (!result.data.custom_field_settings) return [];
 
@@ -217,14 +774,44 @@ export async function getProjectCustomFields(projectId) {
     name: setting.custom_field.name,
     type: setting.custom_field.resource_subtype || setting.custom_field.type,
     enumOptions: setting.custom_field.enum_options || [],
+    precision: setting.custom_field.precision ?? 0,
+    format: setting.custom_field.format || 'none',
+    currencyCode: setting.custom_field.currency_code || null,
+    customLabel: setting.custom_field.custom_label || null,
+    customLabelPosition: setting.custom_field.custom_label_position || null,
+    required: Boolean(setting.custom_field.is_required),
   }));
 }
 
+// Task fields returned by getTask and updateTask
+const TASK_FIELDS = 'name,notes,completed,assignee.name,due_on,due_at,projects.name,permalink_url';
+
 /**
  * Get a task by ID
  */
-export async function getTask(taskId) {
-  const result = await asanaFetch(`/tasks/${taskId}?opt_fields=name,notes,completed,assignee.name,projects.name,permalink_url`);
+export async function getTask(connectionId, taskId) {
+  const result = await asanaFetch(connectionId, `/tasks/${taskId}?opt_fields=${TASK_FIELDS}`);
+  return result.data;
+}
+
+/**
+ * Update a task and return it with the same fields as getTask
+ * Only the given keys are sent; null clears the assignee or the due date
+ * @param {string} connectionId - Connection id
+ * @param {string} taskId - Task ID
+ * @param {object} changes - { completed, assignee, dueDate, name }
+ */
+export async function updateTask(connectionId, taskId, { completed, assignee, dueDate, name }) {
+  const data = {};
+  if (completed !== undefined) data.completed = completed;
+  if (assignee !== undefined) data.assignee = assignee;
+  if (dueDate !== undefined) data.due_on = dueDate; // Format: YYYY-MM-DD, replaces any due time
+  if (name !== undefined) data.name = name;
+
+  const result = await asanaFetch(connectionId, `/tasks/${taskId}?opt_fields=${TASK_FIELDS}`, {
+    method: 'PUT',
+    body: JSON.stringify({ data }),
+  });
   return result.data;
 }
 
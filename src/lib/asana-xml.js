@@ -0,0 +1,349 @@
+/**
+ * Asana rich text - serializer from the Tiptap document and validator for Asana's XML
+ * Pure functions with no browser dependency: bundled into the editor and run as is by the Node tests
+ *
+ * Asana accepts a <body> root with strong, em, u, s, code, ol, ul, li, blockquote and a[href].
+ * Paragraphs and line breaks have no tag: they are newlines in the text.
+ * Mentions are <a data-asana-gid="..."/>: Asana fills in the name and notifies the user.
+ */
+
+/**
+ * Tags Asana accepts, with the attributes each may carry
+ */
+const ALLOWED_TAGS = {
+  body: [],
+  strong: [],
+  em: [],
+  u: [],
+  s: [],
+  code: [],
+  ol: [],
+  ul: [],
+  li: [],
+  blockquote: [],
+  a: ['href', 'data-asana-gid'],
+};
+
+/**
+ * Tiptap marks and the Asana tag they become, outermost first
+ * A fixed order keeps the tags of neighbouring text nodes properly nested
+ */
+const MARK_TAGS = {
+  link: 'a',
+  bold: 'strong',
+  italic: 'em',
+  underline: 'u',
+  strike: 's',
+  code: 'code',
+};
+const MARK_ORDER = Object.keys(MARK_TAGS);
+
+/**
+ * Links kept as links; anything else keeps only its text
+ */
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:)/i;
+
+/**
+ * Characters XML 1.0 doesn't allow, even escaped
+ */
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Entities XML knows without a DTD (&nbsp; and other HTML names are refused)
+ */
+const ENTITY_PATTERN = /&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/y;
+
+/**
+ * A tag, quoted attribute values included
+ */
+const TAG_PATTERN = /<[^>"]*(?:"[^"]*"[^>"]*)*>/y;
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/\u00A0/g, ' ')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a Tiptap document to Asana XML
+ * @param {object} doc - ProseMirror JSON, as returned by editor.getJSON()
+ * @returns {string} XML content to put inside <body>, empty when the document has no text
+ */
+export function toAsanaXML(doc) {
+  const xml = renderBlocks(doc?.content || [], false);
+  return xml
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Render block nodes, one per line
+ * @param {Array} nodes - Block nodes
+ * @param {boolean} inQuote - Inside a blockquote, which Asana doesn't nest
+ */
+function renderBlocks(nodes, inQuote) {
+  return nodes.map(node => renderBlock(node, inQuote)).join('\n');
+}
+
+/**
+ * Render one block node
+ */
+function renderBlock(node, inQuote) {
+  switch (node.type) {
+    case 'paragraph':
+    case 'heading':
+    case 'codeBlock':
+      return renderInline(node.content || []);
+
+    case 'bulletList':
+    case 'orderedList': {
+      const items = (node.content || [])
+        .map(item => renderListItem(item, inQuote))
+        .filter(Boolean);
+      if (items.length === 0) return '';
+      const tag = node.type === 'bulletList' ? 'ul' : 'ol';
+      return `<${tag}>${items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+    }
+
+    case 'blockquote': {
+      const content = trimNewlines(renderBlocks(node.content || [], true));
+      if (inQuote || !content) return content;
+      return `<blockquote>${content}</blockquote>`;
+    }
+
+    case 'horizontalRule':
+      return '';
+
+    default:
+      // Unknown blocks keep their text
+      if (node.content) return renderBlocks(node.content, inQuote);
+      return renderInline([node]);
+  }
+}
+
+/**
+ * Render a list item: its paragraphs as lines, nested lists right after them
+ */
+function renderListItem(item, inQuote) {
+  const parts = (item.content || []).map(node => {
+    const xml = renderBlock(node, inQuote);
+    return { xml, isList: node.type === 'bulletList' || node.type === 'orderedList' };
+  });
+
+  let xml = '';
+  parts.forEach((part, index) => {
+    if (!part.xml) return;
+    if (index > 0 && !part.isList && xml) xml += '\n';
+    xml += part.xml;
+  });
+  return trimNewlines(xml);
+}
+
+/**
+ * Render inline nodes, opening and closing marks only where they change
+ * so that every tag is closed in the order it was opened
+ * @param {Array} nodes - Text, hard break and other inline nodes
+ */
+function renderInline(nodes) {
+  const open = [];
+  let xml = '';
+
+  const closeFrom = index => {
+    while (open.length > index) {
+      xml += `</${MARK_TAGS[open.pop().type]}>`;
+    }
+  };
+
+  nodes.forEach(node => {
+    if (node.type === 'hardBreak') {
+      xml += '\n';
+      return;
+    }
+
+    if (node.type === 'mention') {
+      if (!node.attrs?.gid) return;
+      // A mention is a link itself: it can't sit inside one
+      const linkIndex = open.findIndex(mark => mark.type === 'link');
+      if (linkIndex !== -1) closeFrom(linkIndex);
+      xml += `<a data-asana-gid="${escapeXml(node.attrs.gid)}"/>`;
+      return;
+    }
+
+    const text = node.text || '';
+    if (!text) return;
+
+    const marks = getMarks(node);
+    let common = 0;
+    while (common < open.length && common < marks.length && sameMark(open[common], marks[common])) {
+      common++;
+    }
+    closeFrom(common);
+
+    marks.slice(common).forEach(mark => {
+      xml += mark.type === 'link'
+        ? `<a href="${escapeXml(mark.attrs.href)}">`
+        : `<${MARK_TAGS[mark.type]}>`;
+      open.push(mark);
+    });
+
+    xml += escapeXml(text);
+  });
+
+  closeFrom(0);
+  return xml;
+}
+
+/**
+ * Marks of a text node Asana can show, outermost first
+ */
+function getMarks(node) {
+  return (node.marks || [])
+    .filter(mark => MARK_TAGS[mark.type])
+    .filter(mark => mark.type !== 'link' || SAFE_URL_PATTERN.test(mark.attrs?.href?.trim() || ''))
+    .map(mark => (mark.type === 'link' ? { type: 'link', attrs: { href: mark.attrs.href.trim() } } : { type: mark.type }))
+    .filter((mark, index, marks) => marks.findIndex(other => other.type === mark.type) === index)
+    .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+}
+
+function sameMark(a, b) {
+  return a.type === b.type && a.attrs?.href === b.attrs?.href;
+}
+
+function trimNewlines(text) {
+  return text.replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Check XML the way Asana does before accepting html_notes or html_text
+ * @param {string} xml - Complete rich text, <body> included
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateAsanaXML(xml) {
+  const errors = [];
+  const stack = [];
+  const source = String(xml ?? '');
+  let rootClosed = false;
+  let index = 0;
+
+  const checkText = (text, where) => {
+    if (text.search(INVALID_XML_CHARS) !== -1) errors.push(`Invalid character in ${where}`);
+
+    for (let i = text.indexOf('&'); i !== -1; i = text.indexOf('&', i + 1)) {
+      ENTITY_PATTERN.lastIndex = i;
+      if (!ENTITY_PATTERN.test(text)) {
+        errors.push(`Unknown entity "${text.slice(i, i + 10).split(/[\s<]/)[0]}" in ${where}`);
+      }
+    }
+  };
+
+  while (index < source.length && errors.length === 0) {
+    const tagStart = source.indexOf('<', index);
+    const text = source.slice(index, tagStart === -1 ? source.length : tagStart);
+
+    if (text) {
+      const parent = stack[stack.length - 1];
+      if (!parent || rootClosed) {
+        if (text.trim()) errors.push('Text outside of <body>');
+      } else if ((parent === 'ul' || parent === 'ol') && text.trim()) {
+        errors.push(`Text directly inside <${parent}>`);
+      }
+      checkText(text, 'text');
+    }
+    if (tagStart === -1) break;
+
+    // Up to the first ">" that isn't inside an attribute value
+    TAG_PATTERN.lastIndex = tagStart;
+    const tag = TAG_PATTERN.exec(source)?.[0];
+    if (!tag) {
+      errors.push('Unterminated tag');
+      break;
+    }
+    index = tagStart + tag.length;
+
+    const closing = tag.match(/^<\/([a-zA-Z][\w-]*)\s*>$/);
+    if (closing) {
+      const name = closing[1];
+      const expected = stack.pop();
+      if (name !== expected) {
+        errors.push(expected ? `</${name}> closes <${expected}>` : `Unexpected </${name}>`);
+      } else if (name === 'body') {
+        rootClosed = true;
+      }
+      continue;
+    }
+
+    const opening = tag.match(/^<([a-zA-Z][\w-]*)((?:\s+[^\s=/>]+\s*=\s*"[^"]*")*)\s*(\/?)>$/);
+    if (!opening) {
+      errors.push(`Malformed tag ${tag}`);
+      break;
+    }
+
+    const [, name, attributeSource, selfClosing] = opening;
+    const parent = stack[stack.length - 1];
+
+    if (!ALLOWED_TAGS[name]) {
+      errors.push(`Unsupported tag <${name}>`);
+    } else if (name === 'body' ? stack.length > 0 || rootClosed : !parent || rootClosed) {
+      errors.push(name === 'body' ? 'Nested <body>' : `<${name}> outside of <body>`);
+    } else if (name === 'li' && parent !== 'ul' && parent !== 'ol') {
+      errors.push('<li> outside of a list');
+    } else if (name !== 'li' && (parent === 'ul' || parent === 'ol')) {
+      errors.push(`<${name}> directly inside <${parent}>`);
+    } else if ((name === 'a' || name === 'blockquote') && stack.includes(name)) {
+      errors.push(`Nested <${name}>`);
+    }
+
+    const attributes = {};
+    for (const [, attribute, value] of attributeSource.matchAll(/([^\s=]+)\s*=\s*"([^"]*)"/g)) {
+      if (!ALLOWED_TAGS[name]?.includes(attribute)) {
+        errors.push(`Unsupported attribute ${attribute} on <${name}>`);
+      } else if (attribute in attributes) {
+        errors.push(`Duplicate attribute ${attribute} on <${name}>`);
+      }
+      if (value.includes('<')) errors.push(`Unescaped "<" in ${attribute}`);
+      checkText(value, `${attribute} attribute`);
+      attributes[attribute] = value;
+    }
+    if (name === 'a' && !('href' in attributes) && !('data-asana-gid' in attributes)) {
+      errors.push('<a> without href or data-asana-gid');
+    }
+    if ('data-asana-gid' in attributes && !/^\d+$/.test(attributes['data-asana-gid'])) {
+      errors.push(`Invalid gid "${attributes['data-asana-gid']}"`);
+    }
+
+    if (!selfClosing) stack.push(name);
+  }
+
+  if (errors.length === 0) {
+    if (!source.trimStart().startsWith('<body')) errors.push('Missing <body> root');
+    else if (stack.length > 0) errors.push(`Unclosed <${stack[stack.length - 1]}>`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Plain text of Asana XML, sent instead when the rich text doesn't validate
+ * @param {string} xml - Rich text, with or without <body>
+ * @returns {string} Text with the tags removed and the entities decoded
+ */
+export function toPlainText(xml) {
+  return String(xml ?? '')
+    .replace(/<\/li>/g, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(?:#(\d+)|#x([0-9a-fA-F]+)|(\w+));/g, (entity, decimal, hex, name) => {
+      if (decimal || hex) return String.fromCodePoint(parseInt(decimal || hex, decimal ? 10 : 16));
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }[name] ?? entity;
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,156 @@
+/**
+ * Asana connections
+ * Named Asana credentials (OAuth or Personal Access Token) and the Gmail accounts mapped to them
+ *
+ * Storage layout:
+ * - asanaConnections: [{ id, name, type: 'oauth' | 'pat', token, oauth: { accessToken, refreshToken, expiresAt }, user }]
+ * - defaultConnectionId: connection used when no mapping matches
+ * - accountMappings: [{ account, connectionId }] where account is a Gmail index ("0", "1"...) or address
+ * - connectionPreferences: { [connectionId]: { defaultWorkspace, defaultProject, lastWorkspaceId, lastProjectId } }
+ */
+
+// Preferences that only make sense for one Asana organisation
+export const CONNECTION_PREFERENCE_KEYS = ['defaultWorkspace', 'defaultProject', 'lastWorkspaceId', 'lastProjectId'];
+
+/**
+ * Generate an id for a new connection
+ */
+export function createConnectionId() {
+  return `conn-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Migration in progress: concurrent first calls share it instead of each creating a connection
+let migrationPromise = null;
+
+// Last queued connection write: writes read and rewrite the same keys, so they run one at a time
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write of the connections after the ones already queued
+ */
+function queueWrite(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Move the single-account credentials of older versions into a connection (once)
+ */
+function migrateLegacyCredentials() {
+  if (!migrationPromise) {
+    migrationPromise = runLegacyMigration().finally(() => {
+      migrationPromise = null;
+    });
+  }
+  return migrationPromise;
+}
+
+async function runLegacyMigration() {
+  const data = await chrome.storage.local.get(['asanaToken', 'asanaOAuth', 'asanaUser']);
+  if (!data.asanaToken && !data.asanaOAuth) return [];
+
+  const connection = {
+    id: createConnectionId(),
+    name: data.asanaUser?.name || 'Asana',
+    type: data.asanaOAuth ? 'oauth' : 'pat',
+    token: data.asanaOAuth ? null : data.asanaToken,
+    oauth: data.asanaOAuth || null,
+    user: data.asanaUser || null,
+  };
+
+  await chrome.storage.local.set({
+    asanaConnections: [connection],
+    defaultConnectionId: connection.id,
+  });
+  await chrome.storage.local.remove(['asanaToken', 'asanaOAuth', 'asanaUser']);
+
+  return [connection];
+}
+
+/**
+ * Get all saved connections
+ */
+export async function getConnections() {
+  const { asanaConnections } = await chrome.storage.local.get('asanaConnections');
+  return asanaConnections || migrateLegacyCredentials();
+}
+
+/**
+ * Get one connection by id
+ */
+export async function getConnection(connectionId) {
+  const connections = await getConnections();
+  return connections.find(c => c.id === connectionId) || null;
+}
+
+/**
+ * Insert or update a connection
+ * The first connection ever saved becomes the default
+ */
+export function saveConnection(connection) {
+  return queueWrite(async () => {
+    const connections = await getConnections();
+    const index = connections.findIndex(c => c.id === connection.id);
+
+    if (index >= 0) {
+      connections[index] = { ...connections[index], ...connection };
+    } else {
+      connections.push(connection);
+    }
+
+    const { defaultConnectionId } = await chrome.storage.local.get('defaultConnectionId');
+    await chrome.storage.local.set({
+      asanaConnections: connections,
+      defaultConnectionId: defaultConnectionId && connections.find(c => c.id === defaultConnectionId)
+        ? defaultConnectionId
+        : connection.id,
+    });
+
+    return connections.find(c => c.id === connection.id);
+  });
+}
+
+/**
+ * Delete a connection along with its mappings and preferences
+ */
+export function deleteConnection(connectionId) {
+  return queueWrite(async () => {
+    const data = await chrome.storage.local.get(['defaultConnectionId', 'accountMappings', 'connectionPreferences']);
+    const connections = (await getConnections()).filter(c => c.id !== connectionId);
+    const connectionPreferences = { ...(data.connectionPreferences || {}) };
+    delete connectionPreferences[connectionId];
+
+    await chrome.storage.local.set({
+      asanaConnections: connections,
+      defaultConnectionId: data.defaultConnectionId === connectionId
+        ? (connections[0]?.id || null)
+        : data.defaultConnectionId,
+      accountMappings: (data.accountMappings || []).filter(m => m.connectionId !== connectionId),
+      connectionPreferences,
+    });
+  });
+}
+
+/**
+ * Pick the connection for a Gmail account
+ * Priority: mapping by address > mapping by account index > default connection > first connection
+ * @param {object} account - { gmailIndex, gmailAddress } (both optional)
+ * @returns {Promise<string|null>} Connection id
+ */
+export async function resolveConnectionId({ gmailIndex = null, gmailAddress = null } = {}) {
+  const connections = await getConnections();
+  if (connections.length === 0) return null;
+
+  const { defaultConnectionId, accountMappings = [] } = await chrome.storage.local.get(['defaultConnectionId', 'accountMappings']);
+  const exists = id => connections.some(c => c.id === id);
+
+  const address = gmailAddress?.toLowerCase();
+  const byAddress = address && accountMappings.find(m => m.account.toLowerCase() === address);
+  if (byAddress && exists(byAddress.connectionId)) return byAddress.connectionId;
+
+  const byIndex = gmailIndex !== null && accountMappings.find(m => m.account === String(gmailIndex));
+  if (byIndex && exists(byIndex.connectionId)) return byIndex.connectionId;
+
+  return exists(defaultConnectionId) ? defaultConnectionId : connections[0].id;
+}
@@ -0,0 +1,162 @@
+/**
+ * History of the links between Gmail emails and Asana tasks
+ * Kept in IndexedDB by the service worker, so it can grow without hitting storage.local quotas
+ *
+ * Link record:
+ * {
+ *   id, type: 'task' | 'comment',
+ *   threadId, legacyThreadId, messageId, subject, emailUrl,
+ *   connectionId, taskId, storyId, taskName, projectNames, taskUrl,
+ *   taskCompleted, createdAt
+ * }
+ * threadId is the id from the thread URL; legacyThreadId is the hex id thread rows carry in list view.
+ * taskCompleted is the last known state, refreshed whenever the task is fetched or updated.
+ */
+
+const DB_NAME = 'gmail-to-asana';
+const DB_VERSION = 2;
+const STORE_NAME = 'links';
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the history database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = event => {
+        if (event.oldVersion < 1) {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('threadId', 'threadId');
+          store.createIndex('taskId', 'taskId');
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (event.oldVersion < 2) {
+          request.transaction.objectStore(STORE_NAME).createIndex('legacyThreadId', 'legacyThreadId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null; // Let the next call try again
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request against the links store and resolve once its transaction is done
+ */
+async function runRequest(mode, createRequest) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Record a new email → task link
+ * @returns {Promise<object>} The stored link
+ */
+export async function addLink(link) {
+  const record = { ...link, createdAt: new Date().toISOString() };
+  const id = await runRequest('readwrite', store => store.add(record));
+  return { ...record, id };
+}
+
+/**
+ * Get every link recorded for a Gmail thread, oldest first
+ * Links made from list view only know the legacy id, so both ids are looked up
+ */
+export async function getLinksForThread(threadId, legacyThreadId = null) {
+  const [byThreadId, byLegacyId] = await Promise.all([
+    threadId ? runRequest('readonly', store => store.index('threadId').getAll(threadId)) : [],
+    legacyThreadId ? runRequest('readonly', store => store.index('legacyThreadId').getAll(legacyThreadId)) : [],
+  ]);
+
+  const links = new Map([...byThreadId, ...byLegacyId].map(link => [link.id, link]));
+  return [...links.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * List links, most recent first
+ * @param {object} options - { query: text matched against subject, task and project names, limit }
+ */
+export async function listLinks({ query = '', limit = 200 } = {}) {
+  const links = await runRequest('readonly', store => store.index('createdAt').getAll());
+  const needle = query.trim().toLowerCase();
+
+  return links
+    .reverse()
+    .filter(link => !needle || [link.subject, link.taskName, ...(link.projectNames || [])]
+      .some(value => value?.toLowerCase().includes(needle)))
+    .slice(0, limit);
+}
+
+/**
+ * Summarise the links of many list-view threads in one transaction
+ * @param {string[]} legacyThreadIds - Hex thread ids from the thread rows
+ * @returns {Promise<object>} { [legacyThreadId]: { taskCount, taskName, completed } } for linked threads only
+ */
+export async function getLinkSummaries(legacyThreadIds) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const index = transaction.objectStore(STORE_NAME).index('legacyThreadId');
+    const summaries = {};
+
+    for (const legacyThreadId of legacyThreadIds) {
+      index.getAll(legacyThreadId).onsuccess = event => {
+        const links = event.target.result;
+        if (links.length === 0) return;
+
+        // Latest link of each task; the thread counts as done once all its tasks are
+        const tasks = new Map(links.map(link => [link.taskId, link]));
+        const latest = links[links.length - 1];
+        summaries[legacyThreadId] = {
+          taskCount: tasks.size,
+          taskName: latest.taskName,
+          completed: [...tasks.values()].every(link => link.taskCompleted),
+        };
+      };
+    }
+
+    transaction.oncomplete = () => resolve(summaries);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Store the current name and state of a task on all its links
+ * Does nothing for tasks that were never linked from Gmail
+ */
+export async function updateLinksForTask(taskId, { taskName, taskCompleted }) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const cursorRequest = transaction.objectStore(STORE_NAME).index('taskId').openCursor(taskId);
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, taskName, taskCompleted });
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
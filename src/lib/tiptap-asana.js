@@ -7,15 +7,20 @@ import { Editor } from '@tiptap/core';
 import StarterKit from '@tiptap/starter-kit';
 import Link from '@tiptap/extension-link';
 import Underline from '@tiptap/extension-underline';
+import { Mention } from './tiptap-mention.js';
+import { toAsanaXML, validateAsanaXML, escapeXml, toPlainText } from './asana-xml.js';
+
+export { validateAsanaXML, escapeXml, toPlainText };
 
 /**
  * Create an Asana-compatible Tiptap editor
  * @param {HTMLElement} element - Container element
  * @param {string} content - Initial content (plain text or HTML)
  * @param {object} options - Additional options
+ * @param {object} options.mentions - { onChange, onKeyDown } callbacks drawing the @-mention suggestions
  * @returns {Editor} Tiptap editor instance
  */
-export function createAsanaEditor(element, content = '', options = {}) {
+export function createAsanaEditor(element, content = '', { mentions = {}, ...options } = {}) {
   const editor = new Editor({
     element,
     extensions: [
@@ -49,6 +54,7 @@ export function createAsanaEditor(element, content = '', options = {}) {
           rel: null,
         },
       }),
+      Mention.configure(mentions),
     ],
     content: content,
     editorProps: {
@@ -63,54 +69,22 @@ export function createAsanaEditor(element, content = '', options = {}) {
 }
 
 /**
- * Convert editor content to Asana-compatible HTML/XML
+ * Convert editor content to Asana-compatible XML
  * @param {Editor} editor - Tiptap editor instance
  * @returns {string} XML wrapped in <body> tag for Asana
  */
 export function getAsanaHTML(editor) {
-  let html = editor.getHTML();
-
-  // Convert HTML to Asana-compatible XML
-  html = convertToAsanaXML(html);
-
-  // Wrap in body tag for Asana
-  return `<body>${html}</body>`;
+  return `<body>${getAsanaXML(editor)}</body>`;
 }
 
 /**
- * Convert Tiptap HTML output to Asana-compatible XML
- * Asana supports: strong, em, u, s, code, ol, ul, li, blockquote, a
- * Does NOT support: p, br, div, span
+ * Convert editor content to Asana XML, without the <body> wrapper
+ * so it can be combined with other parts of a note or comment
+ * @param {Editor} editor - Tiptap editor instance
+ * @returns {string} XML content, empty when the editor has no text
  */
-function convertToAsanaXML(html) {
-  // Replace <p> tags with line breaks (Asana uses plain text with newlines)
-  // Keep content, add newlines between paragraphs
-  html = html.replace(/<p>/g, '');
-  html = html.replace(/<\/p>/g, '\n');
-
-  // Convert <br> and <br/> to newlines
-  html = html.replace(/<br\s*\/?>/g, '\n');
-
-  // Convert <strong> (keep as-is, Asana supports it)
-  // Convert <em> (keep as-is, Asana supports it)
-  // Convert <u> (keep as-is, Asana supports it)
-  // Convert <s> (keep as-is, Asana supports it)
-  // Convert <code> (keep as-is, Asana supports it)
-
-  // Ensure self-closing tags are XML compliant
-  html = html.replace(/<hr>/g, '<hr/>');
-  html = html.replace(/<img([^>]*)>/g, '<img$1/>');
-
-  // Remove empty tags
-  html = html.replace(/<(\w+)>\s*<\/\1>/g, '');
-
-  // Clean up multiple newlines
-  html = html.replace(/\n{3,}/g, '\n\n');
-
-  // Trim
-  html = html.trim();
-
-  return html;
+export function getAsanaXML(editor) {
+  return toAsanaXML(editor.getJSON());
 }
 
 /**
@@ -139,6 +113,9 @@ export function textToHTML(text) {
 window.TiptapAsana = {
   createAsanaEditor,
   getAsanaHTML,
+  getAsanaXML,
   textToHTML,
-  convertToAsanaXML,
+  escapeXml,
+  validateAsanaXML,
+  toPlainText,
 };
@@ -0,0 +1,157 @@
+/**
+ * Mentions of Asana users in the Tiptap editor
+ * A mention is an inline node holding the user's gid, serialized as <a data-asana-gid="..."/> so Asana notifies them.
+ * Typing "@" reports the query being typed; the dropdown itself is drawn by the caller.
+ */
+
+import { Node, mergeAttributes } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+
+const mentionPluginKey = new PluginKey('asanaMention');
+
+/**
+ * "@" at the start of a word, followed by the query typed so far
+ */
+const MENTION_QUERY_PATTERN = /(?:^|\s)@([^\s@]{0,40})$/;
+
+/**
+ * The mention being typed at the cursor, if any
+ * @returns {{ query: string, from: number, to: number }|null}
+ */
+function findMentionQuery(state) {
+  const { selection } = state;
+  if (!selection.empty) return null;
+
+  const { $from } = selection;
+  if ($from.parent.type.spec.code || $from.marks().some(mark => mark.type.name === 'code')) return null;
+
+  // Other inline nodes count as one character, so offsets stay positions
+  const textBefore = $from.parent.textBetween(0, $from.parentOffset, null, '\ufffc');
+  const match = textBefore.match(MENTION_QUERY_PATTERN);
+  if (!match) return null;
+
+  const query = match[1];
+  return { query, from: $from.pos - query.length - 1, to: $from.pos };
+}
+
+export const Mention = Node.create({
+  name: 'mention',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  selectable: false,
+
+  addOptions() {
+    return {
+      /**
+       * Called with { query, range, rect } while a mention is typed, and with null once it's done
+       */
+      onChange: null,
+      /**
+       * Called with the keydown event while a mention is typed; returns true when it handled the key
+       */
+      onKeyDown: null,
+    };
+  },
+
+  addAttributes() {
+    return {
+      gid: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-asana-gid'),
+        renderHTML: attributes => ({ 'data-asana-gid': attributes.gid }),
+      },
+      name: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-name') || element.textContent.replace(/^@/, ''),
+        renderHTML: attributes => ({ 'data-name': attributes.name }),
+      },
+    };
+  },
+
+  parseHTML() {
+    // Anchors go before the link mark, which would otherwise take them
+    return [
+      { tag: 'a[data-asana-gid]', priority: 60 },
+      { tag: 'span[data-asana-gid]' },
+    ];
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    return ['span', mergeAttributes(HTMLAttributes, { class: 'asana-mention' }), `@${node.attrs.name}`];
+  },
+
+  renderText({ node }) {
+    return `@${node.attrs.name}`;
+  },
+
+  addCommands() {
+    return {
+      /**
+       * Replace the typed "@query" with a mention of the user, followed by a space
+       */
+      insertMention: ({ range, gid, name }) => ({ commands }) => commands.insertContentAt(range, [
+        { type: this.name, attrs: { gid, name } },
+        { type: 'text', text: ' ' },
+      ]),
+    };
+  },
+
+  addProseMirrorPlugins() {
+    const { onChange, onKeyDown } = this.options;
+    if (!onChange) return [];
+
+    let current = null;
+
+    return [
+      new Plugin({
+        key: mentionPluginKey,
+
+        state: {
+          // Where Escape dismissed a mention, so it doesn't reopen while typing on
+          init: () => ({ dismissedFrom: null }),
+          apply(tr, value) {
+            const meta = tr.getMeta(mentionPluginKey);
+            if (meta?.dismissedFrom !== undefined) return { dismissedFrom: meta.dismissedFrom };
+            if (value.dismissedFrom === null) return value;
+            return { dismissedFrom: tr.mapping.map(value.dismissedFrom) };
+          },
+        },
+
+        view: () => ({
+          update(view) {
+            const found = view.editable ? findMentionQuery(view.state) : null;
+            const next = found && found.from !== mentionPluginKey.getState(view.state).dismissedFrom ? found : null;
+
+            if (next?.query === current?.query && next?.from === current?.from) return;
+            current = next;
+
+            onChange(next && {
+              query: next.query,
+              range: { from: next.from, to: next.to },
+              rect: view.coordsAtPos(next.from),
+            });
+          },
+          destroy() {
+            if (current) onChange(null);
+            current = null;
+          },
+        }),
+
+        props: {
+          handleKeyDown(view, event) {
+            if (!current) return false;
+
+            if (event.key === 'Escape') {
+              // Only closes the suggestions, not whatever contains the editor
+              event.stopPropagation();
+              view.dispatch(view.state.tr.setMeta(mentionPluginKey, { dismissedFrom: current.from }));
+              return true;
+            }
+            return onKeyDown ? onKeyDown(event) : false;
+          },
+        },
+      }),
+    ];
+  },
+});
@@ -0,0 +1,195 @@
+/**
+ * Asana destination fields shared by the rules and templates editors
+ * Cascading selects: connection → workspace → project → section / custom fields, plus assignee and tags
+ */
+
+import { getConnections } from '../lib/connections.js';
+
+// Custom field types that can be preset from the popup
+const PRESET_FIELD_TYPES = ['text', 'number', 'date', 'enum', 'multi_enum'];
+
+/**
+ * Fill a select with options, keeping an optional empty first entry
+ */
+function fillSelect(select, items, escapeHtml, { empty = null, value = '' } = {}) {
+  select.innerHTML = (empty !== null ? `<option value="">${empty}</option>` : '') +
+    items.map(item => `<option value="${item.gid}">${escapeHtml(item.name)}</option>`).join('');
+  select.value = value || '';
+}
+
+/**
+ * Render the custom field inputs of the selected project
+ */
+function renderCustomFieldInputs(container, fields, escapeHtml, values = {}) {
+  const supported = fields.filter(field => PRESET_FIELD_TYPES.includes(field.type));
+  if (supported.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = '<label>Champs personnalisés</label>' + supported.map(field => {
+    const options = field.enumOptions
+      .filter(opt => opt.enabled !== false)
+      .map(opt => `<option value="${opt.gid}">${escapeHtml(opt.name)}</option>`)
+      .join('');
+
+    let input;
+    switch (field.type) {
+      case 'enum':
+        input = `<select data-field-id="${field.gid}"><option value="">--</option>${options}</select>`;
+        break;
+      case 'multi_enum':
+        input = `<select data-field-id="${field.gid}" multiple size="3">${options}</select>`;
+        break;
+      default:
+        input = `<input type="${field.type}" data-field-id="${field.gid}">`;
+    }
+
+    return `
+      <div class="form-group">
+        <label class="preset-sublabel">${escapeHtml(field.name)}</label>
+        ${input}
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('[data-field-id]').forEach(input => {
+    const value = values[input.dataset.fieldId];
+    if (value === undefined) return;
+    if (input.multiple) {
+      Array.from(input.options).forEach(opt => { opt.selected = value.includes(opt.value); });
+    } else {
+      input.value = value;
+    }
+  });
+}
+
+/**
+ * Read the custom field inputs back into { fieldGid: value }
+ */
+function readCustomFieldInputs(container) {
+  const values = {};
+  container.querySelectorAll('[data-field-id]').forEach(input => {
+    const value = input.multiple
+      ? Array.from(input.selectedOptions).map(opt => opt.value)
+      : input.value;
+    if (Array.isArray(value) ? value.length > 0 : value) {
+      values[input.dataset.fieldId] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Render the destination fields into a container and load their options
+ * @param {HTMLElement} container - Element to render into
+ * @param {object} helpers - { sendRequest, escapeHtml, onError } from the calling editor
+ * @param {object} preset - { connectionId, actions } being edited
+ * @returns {Promise<object>} { read() } returning { connectionId, actions }
+ */
+export async function renderActionFields(container, { sendRequest, escapeHtml, onError }, { connectionId = null, actions = {} } = {}) {
+  container.innerHTML = `
+    <div class="form-group">
+      <label>Connexion</label>
+      <select data-role="connection"></select>
+    </div>
+    <div class="form-group">
+      <label>Espace de travail</label>
+      <select data-role="workspace"></select>
+    </div>
+    <div class="form-group">
+      <label>Projet</label>
+      <select data-role="project"></select>
+    </div>
+    <div class="form-group">
+      <label>Section</label>
+      <select data-role="section"></select>
+    </div>
+    <div class="form-group">
+      <label>Assigné</label>
+      <select data-role="assignee"></select>
+    </div>
+    <div class="form-group">
+      <label>Tags</label>
+      <select data-role="tags" multiple size="4"></select>
+    </div>
+    <div data-role="custom-fields"></div>
+  `;
+
+  const connectionSelect = container.querySelector('[data-role="connection"]');
+  const workspaceSelect = container.querySelector('[data-role="workspace"]');
+  const projectSelect = container.querySelector('[data-role="project"]');
+  const sectionSelect = container.querySelector('[data-role="section"]');
+  const assigneeSelect = container.querySelector('[data-role="assignee"]');
+  const tagsSelect = container.querySelector('[data-role="tags"]');
+  const customFieldsContainer = container.querySelector('[data-role="custom-fields"]');
+
+  const loadProject = async (projectId, selected = {}) => {
+    fillSelect(sectionSelect, [], escapeHtml, { empty: 'Section par défaut' });
+    customFieldsContainer.innerHTML = '';
+    if (!projectId) return;
+
+    const [sections, fields] = await Promise.all([
+      sendRequest({ type: 'GET_SECTIONS', connectionId: connectionSelect.value, projectId }),
+      sendRequest({ type: 'GET_PROJECT_CUSTOM_FIELDS', connectionId: connectionSelect.value, projectId }),
+    ]);
+    fillSelect(sectionSelect, sections, escapeHtml, { empty: 'Section par défaut', value: selected.sectionId });
+    renderCustomFieldInputs(customFieldsContainer, fields, escapeHtml, selected.customFields);
+  };
+
+  const loadWorkspace = async (workspaceId, selected = {}) => {
+    fillSelect(projectSelect, [], escapeHtml, { empty: 'Aucun' });
+    fillSelect(assigneeSelect, [], escapeHtml, { empty: 'Aucun' });
+    fillSelect(tagsSelect, [], escapeHtml);
+    await loadProject(null);
+    if (!workspaceId) return;
+
+    const [projects, users, tags] = await Promise.all([
+      sendRequest({ type: 'GET_PROJECTS', connectionId: connectionSelect.value, workspaceId }),
+      sendRequest({ type: 'GET_USERS', connectionId: connectionSelect.value, workspaceId }),
+      sendRequest({ type: 'GET_TAGS', connectionId: connectionSelect.value, workspaceId }),
+    ]);
+    fillSelect(projectSelect, projects, escapeHtml, { empty: 'Aucun', value: selected.projectId });
+    fillSelect(assigneeSelect, users, escapeHtml, { empty: 'Aucun', value: selected.assigneeId });
+    fillSelect(tagsSelect, tags, escapeHtml);
+    Array.from(tagsSelect.options).forEach(opt => {
+      opt.selected = (selected.tagIds || []).includes(opt.value);
+    });
+    await loadProject(projectSelect.value, selected);
+  };
+
+  const loadConnection = async (selected = {}) => {
+    const workspaces = await sendRequest({ type: 'GET_WORKSPACES', connectionId: connectionSelect.value });
+    fillSelect(workspaceSelect, workspaces, escapeHtml, { empty: 'Aucun', value: selected.workspaceId });
+    await loadWorkspace(workspaceSelect.value, selected);
+  };
+
+  connectionSelect.addEventListener('change', () => loadConnection().catch(onError));
+  workspaceSelect.addEventListener('change', () => loadWorkspace(workspaceSelect.value).catch(onError));
+  projectSelect.addEventListener('change', () => loadProject(projectSelect.value).catch(onError));
+
+  // Gids only make sense for the connection they were picked with
+  const connections = await getConnections();
+  fillSelect(connectionSelect, connections, escapeHtml);
+  const { defaultConnectionId } = await chrome.storage.local.get('defaultConnectionId');
+  connectionSelect.value = [connectionId, defaultConnectionId]
+    .find(id => connections.some(c => c.id === id)) || connections[0]?.id || '';
+
+  if (connectionSelect.value) {
+    await loadConnection(actions).catch(onError);
+  }
+
+  return {
+    read: () => ({
+      connectionId: connectionSelect.value || null,
+      actions: {
+        workspaceId: workspaceSelect.value || null,
+        projectId: projectSelect.value || null,
+        sectionId: sectionSelect.value || null,
+        assigneeId: assigneeSelect.value || null,
+        tagIds: Array.from(tagsSelect.selectedOptions).map(opt => opt.value),
+        customFields: readCustomFieldInputs(customFieldsContainer),
+      },
+    }),
+  };
+}
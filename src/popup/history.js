@@ -0,0 +1,61 @@
+/**
+ * Email → task history for the popup
+ * Links are recorded by the service worker (see lib/link-history.js)
+ */
+
+const SEARCH_DELAY = 250;
+
+/**
+ * Set up the history section
+ * @param {object} helpers - { sendRequest, showStatus, escapeHtml } from popup.js
+ */
+export function initHistory({ sendRequest, showStatus, escapeHtml }) {
+  const historySearch = document.getElementById('history-search');
+  const historyList = document.getElementById('history-list');
+
+  let searchTimeout = null;
+
+  /**
+   * Load and render the links matching the search
+   */
+  async function loadHistory() {
+    try {
+      const links = await sendRequest({ type: 'LIST_LINKS', query: historySearch.value });
+      renderHistory(links);
+    } catch (error) {
+      showStatus(`Erreur : ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Render the list of links
+   */
+  function renderHistory(links) {
+    if (links.length === 0) {
+      historyList.innerHTML = `<p class="list-empty">${historySearch.value ? 'Aucun résultat.' : 'Aucune tâche créée depuis Gmail pour l\'instant.'}</p>`;
+      return;
+    }
+
+    historyList.innerHTML = links.map(link => `
+      <div class="list-item">
+        <div class="list-item-main">
+          <div class="list-item-title">${link.type === 'comment' ? '💬' : '➕'} ${escapeHtml(link.taskName)}</div>
+          <div class="list-item-meta">✉ ${escapeHtml(link.subject || '(sans objet)')}</div>
+          <div class="list-item-meta">
+            ${new Date(link.createdAt).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })}
+            ${link.projectNames?.length ? ` · ${escapeHtml(link.projectNames.join(', '))}` : ''}
+          </div>
+        </div>
+        ${link.emailUrl ? `<a class="btn-link" href="${escapeHtml(link.emailUrl)}" target="_blank">Gmail</a>` : ''}
+        <a class="btn-link" href="${escapeHtml(link.taskUrl)}" target="_blank">Asana</a>
+      </div>
+    `).join('');
+  }
+
+  historySearch.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(loadHistory, SEARCH_DELAY);
+  });
+
+  loadHistory();
+}
@@ -1,32 +1,50 @@
 /**
  * Popup script for Gmail to Asana extension
- * Handles Personal Access Token configuration and settings
+ * Handles Asana connections (OAuth or Personal Access Token), Gmail account mappings, settings, task templates, routing rules and the email → task history
  */
 
+import { getConnections, CONNECTION_PREFERENCE_KEYS } from '../lib/connections.js';
+import { initRules } from './rules.js';
+import { initTemplates } from './templates.js';
+import { initHistory } from './history.js';
+
 const ASANA_API_BASE = 'https://app.asana.com/api/1.0';
 
-// DOM Elements - Token
+// DOM Elements - Connections
+const connectionsList = document.getElementById('connections-list');
+const connectionNameInput = document.getElementById('connection-name');
 const tokenInput = document.getElementById('token');
 const saveBtn = document.getElementById('save-btn');
 const testBtn = document.getElementById('test-btn');
 const statusDiv = document.getElementById('status');
-const connectedSection = document.getElementById('connected-section');
-const userNameSpan = document.getElementById('user-name');
+
+// DOM Elements - OAuth
+const oauthClientIdInput = document.getElementById('oauth-client-id');
+const oauthClientSecretInput = document.getElementById('oauth-client-secret');
+const oauthRedirectUrl = document.getElementById('oauth-redirect-url');
+const oauthBtn = document.getElementById('oauth-btn');
+
+// DOM Elements - Gmail account mappings
+const mappingsList = document.getElementById('mappings-list');
+const addMappingBtn = document.getElementById('add-mapping-btn');
+const saveMappingsBtn = document.getElementById('save-mappings-btn');
 
 // DOM Elements - Settings
-const settingsSection = document.getElementById('settings-section');
+const settingsConnectionSelect = document.getElementById('settings-connection');
 const defaultWorkspaceSelect = document.getElementById('default-workspace');
 const defaultProjectSelect = document.getElementById('default-project');
 const defaultIncludeBody = document.getElementById('default-include-body');
+const defaultIncludeThread = document.getElementById('default-include-thread');
 const defaultIncludeLink = document.getElementById('default-include-link');
 const defaultAttachEml = document.getElementById('default-attach-eml');
 const defaultAddLabel = document.getElementById('default-add-label');
 const autoCloseCheckbox = document.getElementById('auto-close');
+const disclaimerPatternsInput = document.getElementById('disclaimer-patterns');
 const languageSelect = document.getElementById('language');
 const saveSettingsBtn = document.getElementById('save-settings-btn');
 
-// Cache for workspaces and projects
-let workspacesCache = [];
+// Saved connections and projects cache (keyed by connection and workspace)
+let connections = [];
 let projectsCache = {};
 
 /**
@@ -48,36 +66,162 @@ async function asanaFetch(endpoint, token) {
 }
 
 /**
- * Load saved token and settings on popup open
+ * Send a request to the service worker, which owns the credentials
+ * (OAuth access tokens are refreshed there)
  */
-async function loadAll() {
-  const data = await chrome.storage.local.get(['asanaToken', 'asanaUser', 'preferences']);
+async function sendRequest(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (response && response.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
 
-  if (data.asanaToken) {
-    tokenInput.value = data.asanaToken;
+/**
+ * Load connections, mappings and settings on popup open
+ */
+async function loadAll() {
+  const data = await chrome.storage.local.get(['oauthConfig', 'preferences']);
 
-    if (data.asanaUser) {
-      showConnected(data.asanaUser.name);
-      await loadWorkspaces(data.asanaToken);
-    }
+  if (data.oauthConfig) {
+    oauthClientIdInput.value = data.oauthConfig.clientId || '';
+    oauthClientSecretInput.value = data.oauthConfig.clientSecret || '';
   }
 
+  oauthRedirectUrl.textContent = await sendRequest({ type: 'GET_OAUTH_REDIRECT_URL' });
+
   // Load preferences
   if (data.preferences) {
     loadPreferences(data.preferences);
   }
+
+  await refreshConnections();
+}
+
+/**
+ * Reload connections and everything that depends on them
+ */
+async function refreshConnections() {
+  connections = await getConnections();
+  const { defaultConnectionId } = await chrome.storage.local.get('defaultConnectionId');
+
+  document.body.classList.toggle('has-connections', connections.length > 0);
+  renderConnections(defaultConnectionId);
+  await renderMappings();
+
+  // Keep the connection being edited if it still exists
+  const previous = settingsConnectionSelect.value;
+  settingsConnectionSelect.innerHTML = connections
+    .map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`)
+    .join('');
+
+  if (connections.length > 0) {
+    settingsConnectionSelect.value = connections.some(c => c.id === previous)
+      ? previous
+      : (defaultConnectionId || connections[0].id);
+    await loadWorkspaces(settingsConnectionSelect.value);
+  }
+}
+
+/**
+ * Render the saved connections
+ */
+function renderConnections(defaultConnectionId) {
+  if (connections.length === 0) {
+    connectionsList.innerHTML = '<p class="list-empty">Aucune connexion. Ajoutez-en une ci-dessous.</p>';
+    return;
+  }
+
+  connectionsList.innerHTML = connections.map(c => {
+    // An OAuth connection whose refresh token was rejected needs a new sign-in
+    const expired = c.type === 'oauth' && !c.oauth;
+    return `
+      <div class="list-item" data-id="${c.id}">
+        <span class="connected-dot ${expired ? 'expired' : ''}"></span>
+        <div class="list-item-main">
+          <div class="list-item-title">${escapeHtml(c.name)}</div>
+          <div class="list-item-meta">
+            ${escapeHtml(c.user?.name || '')} · ${c.type === 'oauth' ? 'OAuth' : 'Token personnel'}${expired ? ' · session expirée' : ''}
+          </div>
+        </div>
+        ${c.id === defaultConnectionId
+          ? '<span class="list-item-meta">Par défaut</span>'
+          : '<button class="btn-link" data-action="default">Par défaut</button>'}
+        ${c.type === 'oauth' ? '<button class="btn-link" data-action="reconnect">Reconnecter</button>' : ''}
+        <button class="btn-link" data-action="remove">Supprimer</button>
+      </div>
+    `;
+  }).join('');
+
+  connectionsList.querySelectorAll('button[data-action]').forEach(btn => {
+    btn.addEventListener('click', () => handleConnectionAction(btn.dataset.action, btn.closest('.list-item').dataset.id));
+  });
+}
+
+/**
+ * Default / reconnect / remove actions on a saved connection
+ */
+async function handleConnectionAction(action, connectionId) {
+  clearStatus();
+
+  try {
+    if (action === 'default') {
+      await chrome.storage.local.set({ defaultConnectionId: connectionId });
+    } else if (action === 'reconnect') {
+      await sendRequest({ type: 'OAUTH_SIGN_IN', connectionId });
+      showStatus('Connexion renouvelée !', 'success');
+    } else if (action === 'remove') {
+      await sendRequest({ type: 'REMOVE_CONNECTION', connectionId });
+      showStatus('Connexion supprimée', 'info');
+    }
+
+    await refreshConnections();
+  } catch (error) {
+    showStatus(`Erreur : ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Render the Gmail account → connection mappings
+ */
+async function renderMappings() {
+  const { accountMappings = [] } = await chrome.storage.local.get('accountMappings');
+  mappingsList.innerHTML = '';
+  accountMappings.forEach(mapping => addMappingRow(mapping));
+}
+
+/**
+ * Append an editable mapping row
+ */
+function addMappingRow(mapping = { account: '', connectionId: '' }) {
+  const row = document.createElement('div');
+  row.className = 'list-item';
+  row.innerHTML = `
+    <input type="text" class="mapping-account" placeholder="0 ou moi@exemple.com" value="${escapeHtml(mapping.account)}">
+    <select class="mapping-connection">
+      ${connections.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('')}
+    </select>
+    <button class="btn-link" data-action="remove" title="Retirer">×</button>
+  `;
+
+  if (mapping.connectionId) {
+    row.querySelector('.mapping-connection').value = mapping.connectionId;
+  }
+  row.querySelector('[data-action="remove"]').addEventListener('click', () => row.remove());
+
+  mappingsList.appendChild(row);
 }
 
 /**
  * Load preferences into form
  */
 function loadPreferences(prefs) {
-  if (prefs.defaultWorkspace) {
-    defaultWorkspaceSelect.value = prefs.defaultWorkspace;
-  }
   if (typeof prefs.includeBody === 'boolean') {
     defaultIncludeBody.checked = prefs.includeBody;
   }
+  if (typeof prefs.includeThread === 'boolean') {
+    defaultIncludeThread.checked = prefs.includeThread;
+  }
   if (typeof prefs.includeLink === 'boolean') {
     defaultIncludeLink.checked = prefs.includeLink;
   }
@@ -90,40 +234,44 @@ function loadPreferences(prefs) {
   if (typeof prefs.autoClose === 'boolean') {
     autoCloseCheckbox.checked = prefs.autoClose;
   }
+  if (Array.isArray(prefs.disclaimerPatterns)) {
+    disclaimerPatternsInput.value = prefs.disclaimerPatterns.join('\n');
+  }
   if (prefs.language) {
     languageSelect.value = prefs.language;
   }
 }
 
 /**
- * Load workspaces from Asana API
+ * Load workspaces of a connection
  */
-async function loadWorkspaces(token) {
+async function loadWorkspaces(connectionId) {
   try {
-    const result = await asanaFetch('/workspaces', token);
-    workspacesCache = result.data;
+    const workspaces = await sendRequest({ type: 'GET_WORKSPACES', connectionId });
 
     // Clear and populate workspace dropdown
     defaultWorkspaceSelect.innerHTML = '<option value="">Aucun (demander à chaque fois)</option>';
 
-    for (const ws of workspacesCache) {
+    for (const ws of workspaces) {
       const option = document.createElement('option');
       option.value = ws.gid;
       option.textContent = ws.name;
       defaultWorkspaceSelect.appendChild(option);
     }
 
-    // Restore saved workspace selection
-    const data = await chrome.storage.local.get('preferences');
-    if (data.preferences?.defaultWorkspace) {
-      defaultWorkspaceSelect.value = data.preferences.defaultWorkspace;
+    // Restore saved workspace selection (service worker merges the connection defaults)
+    const prefs = await sendRequest({ type: 'GET_PREFERENCES', connectionId });
+    if (prefs.defaultWorkspace) {
+      defaultWorkspaceSelect.value = prefs.defaultWorkspace;
       // Load projects for this workspace
-      await loadProjects(token, data.preferences.defaultWorkspace);
+      await loadProjects(connectionId, prefs.defaultWorkspace);
 
       // Restore saved project selection
-      if (data.preferences.defaultProject) {
-        defaultProjectSelect.value = data.preferences.defaultProject;
+      if (prefs.defaultProject) {
+        defaultProjectSelect.value = prefs.defaultProject;
       }
+    } else {
+      await loadProjects(connectionId, null);
     }
   } catch (error) {
     console.error('Failed to load workspaces:', error);
@@ -133,7 +281,7 @@ async function loadWorkspaces(token) {
 /**
  * Load projects for a workspace
  */
-async function loadProjects(token, workspaceId) {
+async function loadProjects(connectionId, workspaceId) {
   if (!workspaceId) {
     defaultProjectSelect.innerHTML = '<option value="">Choisir un espace d\'abord</option>';
     defaultProjectSelect.disabled = true;
@@ -145,12 +293,12 @@ async function loadProjects(token, workspaceId) {
 
   try {
     // Check cache first
-    if (!projectsCache[workspaceId]) {
-      const result = await asanaFetch(`/workspaces/${workspaceId}/projects?opt_fields=name,archived`, token);
-      projectsCache[workspaceId] = result.data.filter(p => !p.archived);
+    const cacheKey = `${connectionId}:${workspaceId}`;
+    if (!projectsCache[cacheKey]) {
+      projectsCache[cacheKey] = await sendRequest({ type: 'GET_PROJECTS', connectionId, workspaceId });
     }
 
-    const projects = projectsCache[workspaceId];
+    const projects = projectsCache[cacheKey];
 
     defaultProjectSelect.innerHTML = '<option value="">Aucun (demander à chaque fois)</option>';
 
@@ -168,23 +316,6 @@ async function loadProjects(token, workspaceId) {
   }
 }
 
-/**
- * Show connected status and settings
- */
-function showConnected(name) {
-  connectedSection.style.display = 'flex';
-  userNameSpan.textContent = name;
-  settingsSection.classList.add('visible');
-}
-
-/**
- * Hide connected status and settings
- */
-function hideConnected() {
-  connectedSection.style.display = 'none';
-  settingsSection.classList.remove('visible');
-}
-
 /**
  * Show status message
  */
@@ -201,7 +332,17 @@ function clearStatus() {
 }
 
 /**
- * Save token handler
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Save token handler - adds a Personal Access Token connection
  */
 saveBtn.addEventListener('click', async () => {
   const token = tokenInput.value.trim();
@@ -216,31 +357,65 @@ saveBtn.addEventListener('click', async () => {
   saveBtn.disabled = true;
 
   try {
-    // Test the token first
-    const result = await asanaFetch('/users/me', token);
-    const user = result.data;
-
-    // Save token and user info
-    await chrome.storage.local.set({
-      asanaToken: token,
-      asanaUser: user,
+    // The service worker validates the token before saving the connection
+    await sendRequest({
+      type: 'ADD_TOKEN_CONNECTION',
+      name: connectionNameInput.value.trim(),
+      token,
     });
 
-    showConnected(user.name);
+    tokenInput.value = '';
+    connectionNameInput.value = '';
     showStatus('Token enregistré avec succès !', 'success');
 
-    // Load workspaces
-    await loadWorkspaces(token);
+    await refreshConnections();
 
   } catch (error) {
     showStatus(`Erreur : ${error.message}`, 'error');
-    hideConnected();
   } finally {
     saveBtn.textContent = 'Enregistrer';
     saveBtn.disabled = false;
   }
 });
 
+/**
+ * OAuth sign-in handler - adds an OAuth connection
+ */
+oauthBtn.addEventListener('click', async () => {
+  const clientId = oauthClientIdInput.value.trim();
+
+  if (!clientId) {
+    showStatus('Veuillez entrer le Client ID de votre application Asana', 'error');
+    return;
+  }
+
+  clearStatus();
+  oauthBtn.textContent = 'Connexion...';
+  oauthBtn.disabled = true;
+
+  try {
+    await chrome.storage.local.set({
+      oauthConfig: {
+        clientId,
+        clientSecret: oauthClientSecretInput.value.trim() || null,
+      },
+    });
+
+    await sendRequest({ type: 'OAUTH_SIGN_IN', name: connectionNameInput.value.trim() });
+
+    connectionNameInput.value = '';
+    showStatus('Connecté avec Asana !', 'success');
+
+    await refreshConnections();
+
+  } catch (error) {
+    showStatus(`Erreur : ${error.message}`, 'error');
+  } finally {
+    oauthBtn.textContent = 'Se connecter avec Asana';
+    oauthBtn.disabled = false;
+  }
+});
+
 /**
  * Test connection handler
  */
@@ -268,41 +443,71 @@ testBtn.addEventListener('click', async () => {
   }
 });
 
+/**
+ * Gmail account mapping handlers
+ */
+addMappingBtn.addEventListener('click', () => addMappingRow());
+
+saveMappingsBtn.addEventListener('click', async () => {
+  const accountMappings = Array.from(mappingsList.querySelectorAll('.list-item'))
+    .map(row => ({
+      account: row.querySelector('.mapping-account').value.trim(),
+      connectionId: row.querySelector('.mapping-connection').value,
+    }))
+    .filter(mapping => mapping.account && mapping.connectionId);
+
+  await chrome.storage.local.set({ accountMappings });
+  showStatus('Comptes Gmail enregistrés !', 'success');
+});
+
+/**
+ * Settings connection change handler
+ */
+settingsConnectionSelect.addEventListener('change', async () => {
+  await loadWorkspaces(settingsConnectionSelect.value);
+});
+
 /**
  * Workspace selection change handler
  */
 defaultWorkspaceSelect.addEventListener('change', async () => {
-  const workspaceId = defaultWorkspaceSelect.value;
-  const token = tokenInput.value.trim();
-
-  if (token && workspaceId) {
-    await loadProjects(token, workspaceId);
-  } else {
-    defaultProjectSelect.innerHTML = '<option value="">Choisir un espace d\'abord</option>';
-    defaultProjectSelect.disabled = true;
-  }
+  await loadProjects(settingsConnectionSelect.value, defaultWorkspaceSelect.value || null);
 });
 
 /**
  * Save settings handler
+ * Workspace/project defaults belong to the selected connection, other options are shared
  */
 saveSettingsBtn.addEventListener('click', async () => {
   saveSettingsBtn.textContent = 'Enregistrement...';
   saveSettingsBtn.disabled = true;
 
   try {
+    const data = await chrome.storage.local.get(['preferences', 'connectionPreferences']);
+    const connectionId = settingsConnectionSelect.value;
+
     const preferences = {
-      defaultWorkspace: defaultWorkspaceSelect.value || null,
-      defaultProject: defaultProjectSelect.value || null,
+      ...(data.preferences || {}),
       includeBody: defaultIncludeBody.checked,
+      includeThread: defaultIncludeThread.checked,
       includeLink: defaultIncludeLink.checked,
       attachEml: defaultAttachEml.checked,
       addLabel: defaultAddLabel.checked,
       autoClose: autoCloseCheckbox.checked,
+      disclaimerPatterns: disclaimerPatternsInput.value.split('\n').map(line => line.trim()).filter(Boolean),
       language: languageSelect.value,
     };
+    // Values saved by older versions are superseded by the per-connection ones
+    CONNECTION_PREFERENCE_KEYS.forEach(key => delete preferences[key]);
+
+    const connectionPreferences = { ...(data.connectionPreferences || {}) };
+    connectionPreferences[connectionId] = {
+      ...(connectionPreferences[connectionId] || {}),
+      defaultWorkspace: defaultWorkspaceSelect.value || null,
+      defaultProject: defaultProjectSelect.value || null,
+    };
 
-    await chrome.storage.local.set({ preferences });
+    await chrome.storage.local.set({ preferences, connectionPreferences });
     showStatus('Paramètres enregistrés !', 'success');
 
   } catch (error) {
@@ -315,3 +520,6 @@ saveSettingsBtn.addEventListener('click', async () => {
 
 // Load everything when popup opens
 loadAll();
+initRules({ sendRequest, showStatus, escapeHtml });
+initTemplates({ sendRequest, showStatus, escapeHtml });
+initHistory({ sendRequest, showStatus, escapeHtml });
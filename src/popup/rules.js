@@ -0,0 +1,309 @@
+/**
+ * Routing rules editor for the popup
+ * Rules are stored in preferences.rules and evaluated by the content script's RuleEngine
+ */
+
+import { renderActionFields } from './action-fields.js';
+
+// Email fields a condition can test (see RuleEngine.FIELDS)
+const FIELD_LABELS = {
+  sender: 'Expéditeur',
+  recipients: 'Destinataires',
+  subject: 'Objet',
+  body: 'Corps',
+  label: 'Libellé Gmail',
+  attachmentType: 'Type de pièce jointe',
+};
+
+// Comparison operators (see RuleEngine.OPERATORS)
+const OPERATOR_LABELS = {
+  contains: 'contient',
+  equals: 'est égal à',
+  startsWith: 'commence par',
+  endsWith: 'se termine par',
+  matches: 'correspond à la regex',
+};
+
+/**
+ * Generate an id for a new rule
+ */
+function createRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Set up the rules section
+ * @param {object} helpers - { sendRequest, showStatus, escapeHtml } from popup.js
+ */
+export function initRules({ sendRequest, showStatus, escapeHtml }) {
+  const rulesList = document.getElementById('rules-list');
+  const ruleModeSelect = document.getElementById('rule-mode');
+  const ruleEditor = document.getElementById('rule-editor');
+  const addRuleBtn = document.getElementById('add-rule-btn');
+
+  let rules = [];
+
+  /**
+   * Read the rules from preferences
+   */
+  async function loadRules() {
+    const { preferences = {} } = await chrome.storage.local.get('preferences');
+    rules = preferences.rules || [];
+    ruleModeSelect.value = preferences.ruleMode || 'first';
+    renderRules();
+  }
+
+  /**
+   * Write the rules (and mode) back into preferences
+   */
+  async function saveRules() {
+    const { preferences = {} } = await chrome.storage.local.get('preferences');
+    await chrome.storage.local.set({
+      preferences: { ...preferences, rules, ruleMode: ruleModeSelect.value },
+    });
+  }
+
+  /**
+   * One-line summary of a rule's conditions
+   */
+  function describeConditions(rule) {
+    const joiner = rule.match === 'any' ? ' ou ' : ' et ';
+    return rule.conditions
+      .map(c => `${FIELD_LABELS[c.field]} ${OPERATOR_LABELS[c.operator]} « ${c.value} »`)
+      .join(joiner);
+  }
+
+  /**
+   * Render the ordered list of rules
+   */
+  function renderRules() {
+    if (rules.length === 0) {
+      rulesList.innerHTML = '<p class="list-empty">Aucune règle.</p>';
+      return;
+    }
+
+    rulesList.innerHTML = rules.map((rule, index) => `
+      <div class="list-item" data-index="${index}">
+        <input type="checkbox" data-action="toggle" title="Activer" ${rule.enabled !== false ? 'checked' : ''}>
+        <div class="list-item-main">
+          <div class="list-item-title">${escapeHtml(rule.name)}</div>
+          <div class="list-item-meta">${escapeHtml(describeConditions(rule))}</div>
+        </div>
+        ${index > 0 ? '<button class="btn-link" data-action="up" title="Monter">↑</button>' : ''}
+        <button class="btn-link" data-action="edit">Modifier</button>
+        <button class="btn-link" data-action="delete">Supprimer</button>
+      </div>
+    `).join('');
+
+    rulesList.querySelectorAll('[data-action]').forEach(control => {
+      const event = control.dataset.action === 'toggle' ? 'change' : 'click';
+      control.addEventListener(event, async () => {
+        const index = Number(control.closest('.list-item').dataset.index);
+
+        switch (control.dataset.action) {
+          case 'toggle':
+            rules[index].enabled = control.checked;
+            break;
+          case 'up':
+            [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+            break;
+          case 'edit':
+            openEditor(rules[index]);
+            return;
+          case 'delete':
+            rules.splice(index, 1);
+            break;
+        }
+
+        await saveRules();
+        renderRules();
+      });
+    });
+  }
+
+  /**
+   * Add a condition row to the editor
+   */
+  function addConditionRow(container, condition = { field: 'sender', operator: 'contains', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'rule-condition';
+    row.innerHTML = `
+      <select data-role="field">
+        ${Object.entries(FIELD_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <select data-role="operator">
+        ${Object.entries(OPERATOR_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <input type="text" data-role="value" placeholder="Valeur">
+      <button class="btn-link" data-role="remove" title="Retirer">×</button>
+    `;
+    row.querySelector('[data-role="field"]').value = condition.field;
+    row.querySelector('[data-role="operator"]').value = condition.operator;
+    row.querySelector('[data-role="value"]').value = condition.value;
+    row.querySelector('[data-role="remove"]').addEventListener('click', () => row.remove());
+    container.appendChild(row);
+  }
+
+  /**
+   * Open the editor for a new or existing rule
+   */
+  async function openEditor(rule = null) {
+    const editing = rule || {
+      id: createRuleId(),
+      name: '',
+      enabled: true,
+      match: 'all',
+      conditions: [],
+      actions: {},
+      connectionId: null,
+    };
+    const actions = editing.actions || {};
+
+    ruleEditor.innerHTML = `
+      <div class="form-group">
+        <label for="rule-name">Nom de la règle</label>
+        <input type="text" id="rule-name" placeholder="Ex. : Support client Acme">
+      </div>
+
+      <div class="form-group">
+        <label for="rule-match">Conditions</label>
+        <select id="rule-match">
+          <option value="all">Toutes les conditions</option>
+          <option value="any">Au moins une condition</option>
+        </select>
+        <div id="rule-conditions"></div>
+        <button class="btn-link" id="rule-add-condition">+ Ajouter une condition</button>
+      </div>
+
+      <div id="rule-actions"></div>
+      <div class="form-group">
+        <label for="rule-due-offset">Échéance (jours après aujourd'hui)</label>
+        <input type="text" id="rule-due-offset" inputmode="numeric" placeholder="Aucune">
+      </div>
+
+      <button class="btn btn-primary" id="rule-save-btn">Enregistrer la règle</button>
+      <button class="btn btn-secondary" id="rule-cancel-btn">Annuler</button>
+    `;
+    ruleEditor.hidden = false;
+    addRuleBtn.hidden = true;
+
+    const nameInput = ruleEditor.querySelector('#rule-name');
+    const matchSelect = ruleEditor.querySelector('#rule-match');
+    const conditions = ruleEditor.querySelector('#rule-conditions');
+    const dueOffsetInput = ruleEditor.querySelector('#rule-due-offset');
+
+    nameInput.value = editing.name;
+    matchSelect.value = editing.match || 'all';
+    editing.conditions.forEach(condition => addConditionRow(conditions, condition));
+    if (editing.conditions.length === 0) addConditionRow(conditions);
+    dueOffsetInput.value = actions.dueDateOffset ?? '';
+
+    ruleEditor.querySelector('#rule-add-condition').addEventListener('click', () => addConditionRow(conditions));
+    ruleEditor.querySelector('#rule-cancel-btn').addEventListener('click', closeEditor);
+
+    // Clickable once the cascading selects can be read
+    const saveBtn = ruleEditor.querySelector('#rule-save-btn');
+    saveBtn.disabled = true;
+    let actionFields;
+
+    saveBtn.addEventListener('click', async () => {
+      const saved = readEditor(editing, { nameInput, matchSelect, conditions, dueOffsetInput, actionFields });
+      if (!saved) return;
+
+      const index = rules.findIndex(r => r.id === saved.id);
+      if (index >= 0) {
+        rules[index] = saved;
+      } else {
+        rules.push(saved);
+      }
+
+      await saveRules();
+      renderRules();
+      closeEditor();
+      showStatus('Règle enregistrée !', 'success');
+    });
+
+    actionFields = await renderActionFields(
+      ruleEditor.querySelector('#rule-actions'),
+      { sendRequest, escapeHtml, onError: reportError },
+      { connectionId: editing.connectionId, actions },
+    );
+    saveBtn.disabled = false;
+  }
+
+  /**
+   * Validate the editor and build the rule
+   * @returns {object|null} Rule, or null when invalid
+   */
+  function readEditor(rule, inputs) {
+    const name = inputs.nameInput.value.trim();
+    const conditions = Array.from(inputs.conditions.querySelectorAll('.rule-condition'))
+      .map(row => ({
+        field: row.querySelector('[data-role="field"]').value,
+        operator: row.querySelector('[data-role="operator"]').value,
+        value: row.querySelector('[data-role="value"]').value.trim(),
+      }))
+      .filter(condition => condition.value);
+
+    if (!name) {
+      showStatus('Veuillez nommer la règle', 'error');
+      return null;
+    }
+    if (conditions.length === 0) {
+      showStatus('Ajoutez au moins une condition', 'error');
+      return null;
+    }
+
+    const invalidPattern = conditions.find(condition => {
+      if (condition.operator !== 'matches') return false;
+      try {
+        new RegExp(condition.value);
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+    if (invalidPattern) {
+      showStatus(`Regex invalide : ${invalidPattern.value}`, 'error');
+      return null;
+    }
+
+    const dueOffset = inputs.dueOffsetInput.value.trim();
+    if (dueOffset && !/^\d+$/.test(dueOffset)) {
+      showStatus('L\'échéance doit être un nombre de jours', 'error');
+      return null;
+    }
+
+    const { connectionId, actions } = inputs.actionFields.read();
+
+    return {
+      ...rule,
+      name,
+      match: inputs.matchSelect.value,
+      conditions,
+      connectionId,
+      actions: { ...actions, dueDateOffset: dueOffset ? Number(dueOffset) : null },
+    };
+  }
+
+  /**
+   * Close the editor without saving
+   */
+  function closeEditor() {
+    ruleEditor.hidden = true;
+    ruleEditor.innerHTML = '';
+    addRuleBtn.hidden = false;
+  }
+
+  /**
+   * Show a loading error from the cascading selects
+   */
+  function reportError(error) {
+    showStatus(`Erreur : ${error.message}`, 'error');
+  }
+
+  addRuleBtn.addEventListener('click', () => openEditor());
+  ruleModeSelect.addEventListener('change', saveRules);
+
+  loadRules();
+}
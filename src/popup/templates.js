@@ -0,0 +1,214 @@
+/**
+ * Task templates editor for the popup
+ * Templates are stored in preferences.templates and picked from the task modal
+ */
+
+import { renderActionFields } from './action-fields.js';
+
+// Checkbox options of the task modal a template can set
+const OPTION_LABELS = {
+  includeBody: 'Inclure le contenu de l\'email',
+  attachEml: 'Joindre le fichier .eml',
+  addLabel: 'Ajouter le libellé "Asana"',
+};
+
+/**
+ * Generate an id for a new template
+ */
+function createTemplateId() {
+  return `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Set up the templates section
+ * @param {object} helpers - { sendRequest, showStatus, escapeHtml } from popup.js
+ */
+export function initTemplates({ sendRequest, showStatus, escapeHtml }) {
+  const templatesList = document.getElementById('templates-list');
+  const templateEditor = document.getElementById('template-editor');
+  const addTemplateBtn = document.getElementById('add-template-btn');
+
+  let templates = [];
+
+  /**
+   * Read the templates from preferences
+   */
+  async function loadTemplates() {
+    const { preferences = {} } = await chrome.storage.local.get('preferences');
+    templates = preferences.templates || [];
+    renderTemplates();
+  }
+
+  /**
+   * Write the templates back into preferences
+   */
+  async function saveTemplates() {
+    const { preferences = {} } = await chrome.storage.local.get('preferences');
+    await chrome.storage.local.set({
+      preferences: { ...preferences, templates },
+    });
+  }
+
+  /**
+   * Render the list of templates
+   */
+  function renderTemplates() {
+    if (templates.length === 0) {
+      templatesList.innerHTML = '<p class="list-empty">Aucun modèle.</p>';
+      return;
+    }
+
+    templatesList.innerHTML = templates.map((template, index) => `
+      <div class="list-item" data-index="${index}">
+        <div class="list-item-main">
+          <div class="list-item-title">${escapeHtml(template.name)}</div>
+          <div class="list-item-meta">${escapeHtml(template.namePattern || '{subject}')}</div>
+        </div>
+        <button class="btn-link" data-action="edit">Modifier</button>
+        <button class="btn-link" data-action="delete">Supprimer</button>
+      </div>
+    `).join('');
+
+    templatesList.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const index = Number(button.closest('.list-item').dataset.index);
+
+        if (button.dataset.action === 'edit') {
+          openEditor(templates[index]);
+          return;
+        }
+
+        templates.splice(index, 1);
+        await saveTemplates();
+        renderTemplates();
+      });
+    });
+  }
+
+  /**
+   * Open the editor for a new or existing template
+   */
+  async function openEditor(template = null) {
+    const editing = template || {
+      id: createTemplateId(),
+      name: '',
+      namePattern: '{subject}',
+      notesPreamble: '',
+      actions: {},
+      options: { includeBody: true, attachEml: false, addLabel: true },
+      connectionId: null,
+    };
+
+    templateEditor.innerHTML = `
+      <div class="form-group">
+        <label for="template-name">Nom du modèle</label>
+        <input type="text" id="template-name" placeholder="Ex. : Demande de devis">
+      </div>
+      <div class="form-group">
+        <label for="template-name-pattern">Nom de la tâche</label>
+        <input type="text" id="template-name-pattern" placeholder="{subject}">
+        <p class="help-text">Variables : {subject}, {senderName}, {senderEmail}, {senderDomain}, {date}</p>
+      </div>
+      <div class="form-group">
+        <label for="template-notes-preamble">Introduction des notes</label>
+        <textarea id="template-notes-preamble" rows="3" placeholder="Texte ajouté en tête de la description"></textarea>
+      </div>
+
+      <div id="template-actions"></div>
+
+      <div class="form-group">
+        <label>Options</label>
+        <div class="checkbox-group">
+          ${Object.entries(OPTION_LABELS).map(([key, label]) => `
+            <label class="checkbox-label">
+              <input type="checkbox" data-option="${key}">
+              <span>${label}</span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+
+      <button class="btn btn-primary" id="template-save-btn">Enregistrer le modèle</button>
+      <button class="btn btn-secondary" id="template-cancel-btn">Annuler</button>
+    `;
+    templateEditor.hidden = false;
+    addTemplateBtn.hidden = true;
+
+    const nameInput = templateEditor.querySelector('#template-name');
+    const namePatternInput = templateEditor.querySelector('#template-name-pattern');
+    const notesPreambleInput = templateEditor.querySelector('#template-notes-preamble');
+    const optionInputs = templateEditor.querySelectorAll('[data-option]');
+
+    nameInput.value = editing.name;
+    namePatternInput.value = editing.namePattern || '';
+    notesPreambleInput.value = editing.notesPreamble || '';
+    optionInputs.forEach(input => {
+      input.checked = !!editing.options?.[input.dataset.option];
+    });
+
+    templateEditor.querySelector('#template-cancel-btn').addEventListener('click', closeEditor);
+
+    // Clickable once the cascading selects can be read
+    const saveBtn = templateEditor.querySelector('#template-save-btn');
+    saveBtn.disabled = true;
+    let actionFields;
+
+    saveBtn.addEventListener('click', async () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        showStatus('Veuillez nommer le modèle', 'error');
+        return;
+      }
+
+      const { connectionId, actions } = actionFields.read();
+      const saved = {
+        ...editing,
+        name,
+        namePattern: namePatternInput.value.trim(),
+        notesPreamble: notesPreambleInput.value.trim(),
+        connectionId,
+        actions,
+        options: Object.fromEntries(Array.from(optionInputs).map(input => [input.dataset.option, input.checked])),
+      };
+
+      const index = templates.findIndex(t => t.id === saved.id);
+      if (index >= 0) {
+        templates[index] = saved;
+      } else {
+        templates.push(saved);
+      }
+
+      await saveTemplates();
+      renderTemplates();
+      closeEditor();
+      showStatus('Modèle enregistré !', 'success');
+    });
+
+    actionFields = await renderActionFields(
+      templateEditor.querySelector('#template-actions'),
+      { sendRequest, escapeHtml, onError: reportError },
+      { connectionId: editing.connectionId, actions: editing.actions },
+    );
+    saveBtn.disabled = false;
+  }
+
+  /**
+   * Close the editor without saving
+   */
+  function closeEditor() {
+    templateEditor.hidden = true;
+    templateEditor.innerHTML = '';
+    addTemplateBtn.hidden = false;
+  }
+
+  /**
+   * Show a loading error from the cascading selects
+   */
+  function reportError(error) {
+    showStatus(`Erreur : ${error.message}`, 'error');
+  }
+
+  addTemplateBtn.addEventListener('click', () => openEditor());
+
+  loadTemplates();
+}
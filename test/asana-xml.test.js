@@ -0,0 +1,77 @@
+/**
+ * Asana rich text serializer and validator, checked against the fixtures in fixtures/asana-xml
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { toAsanaXML, validateAsanaXML, escapeXml, toPlainText } from '../src/lib/asana-xml.js';
+
+const readFixture = name => JSON.parse(readFileSync(new URL(`./fixtures/asana-xml/${name}`, import.meta.url), 'utf8'));
+
+const serializeFixtures = readFixture('serialize.json');
+const validateFixtures = readFixture('validate.json');
+
+describe('toAsanaXML', () => {
+  for (const { name, doc, xml } of serializeFixtures) {
+    test(name, () => {
+      const output = toAsanaXML(doc);
+      assert.equal(output, xml);
+
+      const { valid, errors } = validateAsanaXML(`<body>${output}</body>`);
+      assert.ok(valid, errors.join(', '));
+    });
+  }
+
+  test('missing document', () => {
+    assert.equal(toAsanaXML(null), '');
+    assert.equal(toAsanaXML({ type: 'doc' }), '');
+  });
+});
+
+describe('validateAsanaXML', () => {
+  for (const { name, xml } of validateFixtures.valid) {
+    test(`accepts ${name}`, () => {
+      assert.deepEqual(validateAsanaXML(xml), { valid: true, errors: [] });
+    });
+  }
+
+  for (const { name, xml, error } of validateFixtures.invalid) {
+    test(`rejects ${name}`, () => {
+      const result = validateAsanaXML(xml);
+      assert.equal(result.valid, false);
+      assert.ok(result.errors.includes(error), `expected "${error}", got ${JSON.stringify(result.errors)}`);
+    });
+  }
+});
+
+describe('escapeXml', () => {
+  test('escapes markup and quotes', () => {
+    assert.equal(escapeXml('<a href="x">Tom & Jerry</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+  });
+
+  test('escaped text is always valid', () => {
+    const text = 'a b &nbsp; <br> \u0000 "c" \'d\' ]]>';
+    assert.ok(validateAsanaXML(`<body><a href="${escapeXml(text)}">${escapeXml(text)}</a></body>`).valid);
+  });
+
+  test('empty values', () => {
+    assert.equal(escapeXml(null), '');
+    assert.equal(escapeXml(undefined), '');
+  });
+});
+
+describe('toPlainText', () => {
+  test('removes tags and decodes entities', () => {
+    assert.equal(
+      toPlainText('<body><strong>R&#233;sum&#xE9;</strong> &amp; <a href="https://x.example">link</a>\n<ul><li>one</li><li>two</li></ul></body>'),
+      'Résumé & link\none\ntwo',
+    );
+  });
+
+  test('keeps text the validator rejected', () => {
+    assert.equal(toPlainText('<body>a&nbsp;b <p>c</p></body>'), 'a b c');
+  });
+});